@@ -0,0 +1,2517 @@
+// cc-health-check — checks shared by the CLI and the web page
+// Loads Claude Code settings, hooks, CLAUDE.md and MCP config for one home and
+// project, and runs the checks. Files are read through a host: the real filesystem
+// (lib.mjs) or an in-memory file map (virtualHost, used by index.html). This module
+// imports nothing from Node, so browsers can load it as is.
+
+// Settings layers, lowest precedence first (matches Claude Code's resolution order)
+const MANAGED_SETTINGS_PATHS = {
+  darwin: ['/Library/Application Support/ClaudeCode/managed-settings.json'],
+  win32: ['C:\\Program Files\\ClaudeCode\\managed-settings.json', 'C:\\ProgramData\\ClaudeCode\\managed-settings.json'],
+  linux: ['/etc/claude-code/managed-settings.json'],
+};
+const CONFIG_FILES = ['.cc-health-check.json', '.cc-health-check.mjs'];
+
+function settingsLayerPaths(host, home, cwd, managed) {
+  return [
+    { scope: 'user', path: host.join(home, '.claude', 'settings.json') },
+    ...(cwd !== home ? [
+      { scope: 'project', path: host.join(cwd, '.claude', 'settings.json') },
+      { scope: 'local', path: host.join(cwd, '.claude', 'settings.local.json') },
+    ] : []),
+    ...(managed ? (MANAGED_SETTINGS_PATHS[host.platform] || MANAGED_SETTINGS_PATHS.linux) : [])
+      .map(path => ({ scope: 'managed', path })),
+  ];
+}
+
+// ─── Hosts ───
+// A host answers every file question the checks ask:
+//   read(path) → text or null             stat(path) → { file, dir, mtimeMs, size } or null
+//   list(dir) → [{ name, file, dir }]     executable(path) → boolean
+//   join / resolve / dirname              platform
+//   onPath(tool) → boolean, or null when PATH cannot be seen
+// and optionally syntax(kind, path), probe(hooks, home) and importModule(path).
+// lib.mjs builds the Node host; virtualHost() serves a { path: text } map.
+
+// Paths under this directory are shown as ~/… (lib.mjs sets the real home, the web page its virtual one)
+let displayHome = null;
+
+function setDisplayHome(home) {
+  displayHome = home;
+}
+
+function normalizePath(path) {
+  const parts = [];
+  for (const part of path.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  }
+  return '/' + parts.join('/');
+}
+
+const posixPath = {
+  join: (...parts) => normalizePath(parts.join('/')),
+  resolve: (...parts) => normalizePath(parts.reduce((path, p) => (p.startsWith('/') ? p : `${path}/${p}`), '/')),
+  dirname: path => path.slice(0, path.lastIndexOf('/')) || '/',
+};
+
+// Paths are absolute, with "~/" placed under `home`. Directories are implied by the files
+// in them, and every file counts as executable since pasted scripts carry no mode bits.
+// PATH is unknown, so missing tools are not reported.
+function virtualHost(files, home) {
+  const map = new Map(Object.entries(files)
+    .map(([path, text]) => [normalizePath(path.replace(/^~(?=\/|$)/, home)), String(text)]));
+  const children = dir => {
+    const prefix = dir === '/' ? '/' : `${dir}/`;
+    return [...map.keys()].filter(p => p.startsWith(prefix)).map(p => p.slice(prefix.length));
+  };
+  const stat = path => {
+    const p = normalizePath(path);
+    if (map.has(p)) return { file: true, dir: false, mtimeMs: Date.now(), size: map.get(p).length };
+    return children(p).length > 0 ? { file: false, dir: true, mtimeMs: Date.now() } : null;
+  };
+  return {
+    ...posixPath,
+    platform: 'linux',
+    read: path => map.get(normalizePath(path)) ?? null,
+    stat,
+    list: dir => [...new Set(children(normalizePath(dir)).map(rest => rest.split('/')[0]))]
+      .map(name => ({ name, ...stat(posixPath.join(dir, name)) })),
+    executable: path => map.has(normalizePath(path)),
+    onPath: () => null,
+  };
+}
+
+// ─── Utility ───
+function readJSON(host, path) {
+  try {
+    return JSON.parse(host.read(path));
+  } catch {
+    return null;
+  }
+}
+
+function fileContains(host, path, patterns) {
+  const content = host.read(path)?.toLowerCase();
+  return content !== undefined && patterns.some(p => content.includes(p.toLowerCase()));
+}
+
+function findFilesRecursive(host, dir, maxDepth = 3, depth = 0) {
+  if (depth > maxDepth) return [];
+  return host.list(dir).flatMap(entry => {
+    const full = host.join(dir, entry.name);
+    if (entry.file) return [full];
+    if (entry.dir && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+      return findFilesRecursive(host, full, maxDepth, depth + 1);
+    }
+    return [];
+  });
+}
+
+function displayPath(path) {
+  return displayHome && path.startsWith(displayHome + '/') ? '~' + path.slice(displayHome.length) : path;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Claude Code merges settings layers: arrays (hooks, permission rules) are
+// concatenated, objects are merged key by key, and scalars from the
+// higher-precedence layer win.
+function mergeSettings(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (Array.isArray(value) && Array.isArray(out[key])) {
+      out[key] = [...out[key], ...value.filter(v => !out[key].some(o => JSON.stringify(o) === JSON.stringify(v)))];
+    } else if (isPlainObject(value) && isPlainObject(out[key])) {
+      out[key] = mergeSettings(out[key], value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function loadSettingsLayers(host, layers) {
+  return layers
+    .filter(l => host.stat(l.path))
+    .map(l => ({ ...l, settings: readJSON(host, l.path) }))
+    .filter(l => isPlainObject(l.settings));
+}
+
+function getHookScripts(settings, eventType) {
+  if (!settings?.hooks) return [];
+  const hooks = settings.hooks[eventType];
+  if (!hooks) return [];
+  return (Array.isArray(hooks) ? hooks : [hooks])
+    .map(h => typeof h === 'string' ? h : h?.command || h?.script || '')
+    .filter(Boolean);
+}
+
+function getAllHookCommands(settings) {
+  if (!settings?.hooks) return [];
+  const all = [];
+  for (const [event, matchers] of Object.entries(settings.hooks)) {
+    // Claude Code format: { EventName: [{ matcher: "", hooks: [{ type, command }] }] }
+    const matcherList = Array.isArray(matchers) ? matchers : [matchers];
+    for (const matcher of matcherList) {
+      if (matcher?.hooks && Array.isArray(matcher.hooks)) {
+        for (const h of matcher.hooks) {
+          const cmd = h?.command || h?.script || '';
+          if (cmd) all.push({ event, matcher: matcher.matcher ?? '', command: cmd });
+        }
+      } else {
+        // Fallback: flat format { EventName: [{ command: "..." }] }
+        const cmd = typeof matcher === 'string' ? matcher : matcher?.command || matcher?.script || '';
+        if (cmd) all.push({ event, matcher: matcher?.matcher ?? '', command: cmd });
+      }
+    }
+  }
+  return all;
+}
+
+// ─── Hook scripts ───
+// Works out what a hook command actually runs and whether it can run:
+// the script exists, is executable, parses, and the tools it calls are installed.
+const HOOK_INTERPRETERS = { bash: 'bash', sh: 'sh', zsh: 'zsh', node: 'node', python: 'python', python3: 'python' };
+const INLINE_FLAGS = ['-c', '-e', '--eval', '-m', '-p', '--print'];
+const REQUIRED_TOOLS = ['jq', 'yq', 'python3', 'node', 'curl', 'git', 'gh', 'tmux', 'sqlite3'];
+const SHELL_BUILTINS = new Set([
+  ':', '.', '[', '[[', '!', '{', '(', 'cd', 'command', 'echo', 'eval', 'exec', 'exit', 'export', 'false', 'for', 'if',
+  'printf', 'read', 'set', 'source', 'test', 'true', 'type', 'while', 'case',
+]);
+function splitCommand(command) {
+  return (command.match(/(?:"[^"]*"|'[^']*'|[^\s"'])+/g) || []).map(t => t.replace(/["']/g, ''));
+}
+
+function expandHookPath(token, { home, cwd, host }) {
+  const path = token
+    .replace(/^~(?=\/|$)/, home)
+    .replace(/\$\{?HOME\}?/g, home)
+    .replace(/\$\{?CLAUDE_PROJECT_DIR\}?/g, cwd);
+  return host.resolve(cwd, path);
+}
+
+// { program, interpreter, script }: script is null for inline commands such as `jq ...` or `bash -c '...'`
+function resolveHookCommand(command, dirs) {
+  const tokens = splitCommand(command);
+  while (tokens.length > 0 && /^[A-Za-z_]\w*=/.test(tokens[0])) tokens.shift();
+  const program = tokens[0] ?? '';
+  const interpreter = HOOK_INTERPRETERS[program.split('/').pop()];
+  if (interpreter) {
+    const args = tokens.slice(1);
+    const arg = args.find(t => !t.startsWith('-'));
+    if (!arg || args.some(t => INLINE_FLAGS.includes(t))) return { program, interpreter, script: null };
+    return { program, interpreter, script: expandHookPath(arg, dirs) };
+  }
+  if (/^(~|\$|\.{1,2}\/|\/)/.test(program)) return { program: null, interpreter: null, script: expandHookPath(program, dirs) };
+  return { program, interpreter: null, script: null };
+}
+
+// The script file a hook runs, for checks that read it. Resolved like resolveHookCommand,
+// plus commands such as `cat | python3 guard.py` that name a script further along.
+function hookScriptFile(command, dirs) {
+  const { script } = resolveHookCommand(command, dirs);
+  if (script) return script;
+  const token = splitCommand(command).find(t => /\.(sh|bash|zsh|js|mjs|cjs|py|rb)$/.test(t));
+  return token ? expandHookPath(token, dirs) : null;
+}
+
+function shebangProgram(text) {
+  const m = text.match(/^#!\s*(\S+)(?:\s+(?:-S\s+)?(\S+))?/);
+  if (!m) return null;
+  return m[1].endsWith('/env') ? m[2] || null : m[1];
+}
+
+// Tools a shell snippet calls directly, unless it first checks for them with command -v / which.
+// Only tools the host knows are missing count; the web page cannot see PATH.
+function missingTools(code, host) {
+  const body = code.split('\n').filter(l => !/^\s*#/.test(l)).join('\n');
+  return REQUIRED_TOOLS.filter(tool =>
+    new RegExp(`(^|[|;&({\`]|\\$\\(|\\b(?:if|then|do|else|while|until|exec)\\b)\\s*${tool}(?=\\s|$|\\))`, 'm').test(body) &&
+    !new RegExp(`\\b(?:command -v|which|type|hash)\\s+${tool}\\b`).test(body) &&
+    host.onPath(tool) === false);
+}
+
+// Why a hook command cannot run, or null if it looks runnable (or cannot be resolved statically)
+function brokenHookReason(command, dirs) {
+  const { host } = dirs;
+  const notFound = tool => host.onPath(tool) === false;
+  const { program, interpreter, script } = resolveHookCommand(command, dirs);
+  if (!script) {
+    const name = program.split('/').pop();
+    if (name && !SHELL_BUILTINS.has(name) && /^[\w./+-]+$/.test(program) && notFound(program)) return `${program} not found on PATH`;
+    const missing = missingTools(command, host);
+    return missing.length > 0 ? `${missing.join(', ')} not found on PATH` : null;
+  }
+  if (script.includes('$')) return null;
+  if (interpreter && notFound(program)) return `${program} not found on PATH`;
+  const stat = host.stat(script);
+  if (!stat) return `${displayPath(script)} does not exist`;
+  if (!stat.file) return `${displayPath(script)} is not a file`;
+  if (!interpreter && !host.executable(script)) return `${displayPath(script)} is not executable (chmod +x)`;
+  const text = host.read(script);
+  if (text === null) return `${displayPath(script)} is not readable`;
+  const shebang = shebangProgram(text);
+  if (!interpreter && shebang && notFound(shebang)) return `shebang interpreter ${shebang} not found`;
+  const kind = interpreter || HOOK_INTERPRETERS[(shebang || '').split('/').pop()] ||
+    (/\.(sh|bash)$/.test(script) ? 'bash' : /\.[cm]?js$/.test(script) ? 'node' : /\.py$/.test(script) ? 'python' : null);
+  const syntax = host.syntax?.(kind, script);
+  if (syntax) return `${displayPath(script)} ${syntax}`;
+  const missing = ['bash', 'sh', 'zsh'].includes(kind) ? missingTools(text, host) : [];
+  return missing.length > 0 ? `${displayPath(script)} needs ${missing.join(', ')}, not found on PATH` : null;
+}
+
+// ─── Permission rules ───
+// Rule syntax: "Tool" or "Tool(specifier)". Bash specifiers are exact commands
+// or prefixes ending in ":*"; file tools take gitignore-style globs;
+// WebFetch takes "domain:host". Deny always wins over ask and allow.
+const KNOWN_TOOLS = [
+  'Bash', 'BashOutput', 'KillShell', 'Read', 'Edit', 'Write', 'MultiEdit', 'NotebookEdit', 'NotebookRead',
+  'Glob', 'Grep', 'LS', 'WebFetch', 'WebSearch', 'Task', 'TodoWrite', 'ExitPlanMode', 'SlashCommand', 'Skill',
+];
+const FILE_TOOLS = ['Read', 'Edit', 'Write', 'MultiEdit', 'NotebookEdit', 'NotebookRead'];
+const RISKY_TOOLS = ['Bash', 'Edit', 'Write', 'MultiEdit', 'NotebookEdit', 'WebFetch'];
+// Prefixes that make a Bash allow rule equivalent to Bash(*)
+const RISKY_BASH_PREFIXES = [
+  'rm', 'sudo', 'git', 'git push', 'git reset', 'curl', 'wget', 'sh', 'bash', 'zsh', 'eval', 'exec',
+  'python', 'python3', 'node', 'npx', 'perl', 'ruby', 'chmod', 'chown', 'dd', 'docker', 'ssh', 'xargs', 'env',
+];
+const DANGEROUS_CALLS = [
+  { label: 'rm -rf', tool: 'Bash', input: 'rm -rf /' },
+  { label: 'git push --force', tool: 'Bash', input: 'git push --force origin main' },
+  { label: 'git reset --hard', tool: 'Bash', input: 'git reset --hard' },
+  { label: 'sudo', tool: 'Bash', input: 'sudo rm -rf /var' },
+  { label: 'read .env', tool: 'Read', input: '.env' },
+];
+
+function parsePermissionRule(rule) {
+  const m = typeof rule === 'string' ? rule.trim().match(/^([\w-]+)(?:\((.*)\))?$/s) : null;
+  if (!m) return null;
+  return { raw: rule, tool: m[1], spec: m[2] };
+}
+
+function globToRegExp(glob) {
+  const body = glob
+    .replace(/^(\.\/|\/\/|~\/)/, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/?/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`(^|/)${body}$`);
+}
+
+function isWildcardSpec(spec) {
+  return spec === undefined || spec === '' || spec === '*' || spec === ':*' || /^(\.\/|\/\/|~\/|\/)?\*\*(\/\*)?$/.test(spec);
+}
+
+function ruleMatches(rule, tool, input) {
+  if (rule.tool.startsWith('mcp__')) return tool === rule.tool || tool.startsWith(rule.tool + '__');
+  if (rule.tool !== tool) return false;
+  if (isWildcardSpec(rule.spec)) return true;
+  if (tool === 'Bash') {
+    return rule.spec.endsWith(':*')
+      ? input.startsWith(rule.spec.slice(0, -2))
+      : input === rule.spec;
+  }
+  if (FILE_TOOLS.includes(tool)) return globToRegExp(rule.spec).test(input);
+  if (tool === 'WebFetch') return rule.spec === `domain:${input}`;
+  return rule.spec === input;
+}
+
+function getPermissionRules(settings, kind) {
+  const list = settings?.permissions?.[kind];
+  return Array.isArray(list) ? list : [];
+}
+
+function isBroadAllowRule(rule) {
+  if (!RISKY_TOOLS.includes(rule.tool)) return false;
+  if (isWildcardSpec(rule.spec)) return true;
+  if (rule.tool !== 'Bash') return false;
+  const prefix = rule.spec.endsWith(':*') ? rule.spec.slice(0, -2).trim() : null;
+  return prefix !== null && RISKY_BASH_PREFIXES.includes(prefix);
+}
+
+// A deny rule is unreachable if Claude Code can never match it as written
+function unreachableReason(raw) {
+  const rule = parsePermissionRule(raw);
+  if (!rule) return 'not valid rule syntax';
+  if (!rule.tool.startsWith('mcp__') && !KNOWN_TOOLS.includes(rule.tool)) {
+    const known = KNOWN_TOOLS.find(t => t.toLowerCase() === rule.tool.toLowerCase());
+    return known ? `tool names are case-sensitive (use ${known})` : `unknown tool "${rule.tool}"`;
+  }
+  if (rule.tool === 'Bash' && rule.spec && !isWildcardSpec(rule.spec)) {
+    const body = rule.spec.endsWith(':*') ? rule.spec.slice(0, -2) : rule.spec;
+    if (body.includes('*') || body.includes(':*')) return '"*" only works as a trailing ":*" prefix wildcard';
+  }
+  return null;
+}
+
+// A deny rule is shadowed if a broader deny rule already covers everything it matches
+function shadowingRule(rule, denyRules) {
+  return denyRules.find(other => {
+    if (other.raw === rule.raw || other.tool !== rule.tool) return false;
+    if (isWildcardSpec(other.spec)) return !isWildcardSpec(rule.spec);
+    if (rule.tool !== 'Bash' || !other.spec.endsWith(':*') || isWildcardSpec(rule.spec)) return false;
+    const inner = rule.spec.endsWith(':*') ? rule.spec.slice(0, -2) : rule.spec;
+    return inner !== other.spec.slice(0, -2) && inner.startsWith(other.spec.slice(0, -2));
+  }) || null;
+}
+
+function matcherApplies(matcher, tool) {
+  if (!matcher || matcher === '*') return true;
+  try {
+    return new RegExp(`^(?:${matcher})$`).test(tool);
+  } catch {
+    return matcher === tool;
+  }
+}
+
+function isGuardCommand(command) {
+  const cmd = command.toLowerCase();
+  return cmd.includes('rm') || cmd.includes('guard') || cmd.includes('safe') ||
+    cmd.includes('block') || cmd.includes('deny') || cmd.includes('cdp');
+}
+
+// ─── Hook coverage ───
+// Which tools each kind of hook actually fires for, given its event and matcher.
+// `mcp__*` stands for the configured MCP servers' tools.
+const COVERAGE_TOOLS = ['Bash', 'Edit', 'Write', 'MultiEdit', 'NotebookEdit', 'WebFetch', 'mcp__*'];
+const EDIT_TOOLS = ['Edit', 'Write', 'MultiEdit', 'NotebookEdit'];
+const GUARD_SCRIPT_PATTERNS = ['rm -rf', 'reset --hard', 'force', 'block', 'deny', 'BLOCK'];
+const HOOK_PURPOSES = {
+  guard: { events: ['PreToolUse'], tools: COVERAGE_TOOLS, test: (h, env) => isGuardCommand(h.command) || guardScript(h, env) },
+  syntax: { events: ['PostToolUse'], tools: EDIT_TOOLS, test: h => isSyntaxCommand(h.command) },
+  logger: { events: ['PreToolUse', 'PostToolUse'], tools: COVERAGE_TOOLS, test: h => isLoggerCommand(h.command) },
+};
+// Tools that must be covered for the Safety and Code Quality checks to pass
+const CRITICAL_COVERAGE = { guard: ['Bash'], syntax: ['Edit', 'Write', 'MultiEdit'] };
+
+function isSyntaxCommand(command) {
+  const cmd = command.toLowerCase();
+  return cmd.includes('syntax') || cmd.includes('compile') || cmd.includes('lint') ||
+    cmd.includes('py_compile') || cmd.includes('eslint') || cmd.includes('check');
+}
+
+function isLoggerCommand(command) {
+  const cmd = command.toLowerCase();
+  return ['activity', 'log', 'jsonl', 'audit'].some(p => cmd.includes(p));
+}
+
+// The hook's script, if it contains blocking patterns
+function guardScript(h, env) {
+  const sf = hookScriptFile(h.command, env);
+  return sf && fileContains(env.host, sf, GUARD_SCRIPT_PATTERNS) ? sf : null;
+}
+
+function coverageToolNames(tool, env) {
+  if (tool !== 'mcp__*') return [tool];
+  const servers = [...new Set(env.mcpServers.map(sv => sv.name))];
+  return servers.length > 0 ? servers.map(name => `mcp__${name}__tool`) : ['mcp__server__tool'];
+}
+
+// { tool: { purpose: { covered, hooks } | null } }, null where the purpose does not apply to the tool
+function hookCoverage(env) {
+  const coverage = {};
+  for (const tool of COVERAGE_TOOLS) {
+    const names = coverageToolNames(tool, env);
+    coverage[tool] = {};
+    for (const [purpose, def] of Object.entries(HOOK_PURPOSES)) {
+      if (!def.tools.includes(tool)) {
+        coverage[tool][purpose] = null;
+        continue;
+      }
+      const hooks = env.hooks.filter(h => def.events.includes(h.event) &&
+        names.some(n => matcherApplies(h.matcher, n)) && def.test(h, env));
+      const covered = names.every(n => hooks.some(h => matcherApplies(h.matcher, n)));
+      coverage[tool][purpose] = { covered, hooks };
+    }
+  }
+  return coverage;
+}
+
+function uncoveredCritical(coverage, purpose) {
+  return CRITICAL_COVERAGE[purpose].filter(tool => !coverage[tool][purpose].covered);
+}
+
+// ─── Secret scanner ───
+// Each rule names one credential format; `generic` rules additionally need
+// an entropy check because they match any long quoted value.
+const SECRET_RULES = [
+  { id: 'anthropic-api-key', name: 'Anthropic API key', re: /\bsk-ant-[A-Za-z0-9_-]{32,}/g },
+  { id: 'openai-api-key', name: 'OpenAI API key', re: /\bsk-(?!ant-)(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{32,}/g },
+  { id: 'aws-access-key-id', name: 'AWS access key ID', re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'aws-secret-access-key', name: 'AWS secret access key', re: /aws_secret_access_key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})\b/gi },
+  { id: 'gcp-service-account', name: 'GCP service account key', re: /"type"\s*:\s*"service_account"/g },
+  { id: 'slack-token', name: 'Slack token', re: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { id: 'slack-webhook', name: 'Slack webhook URL', re: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/g },
+  { id: 'github-token', name: 'GitHub token', re: /\bgh[pousr]_[A-Za-z0-9]{36}\b/g },
+  { id: 'github-fine-grained-token', name: 'GitHub fine-grained token', re: /\bgithub_pat_[A-Za-z0-9_]{50,}/g },
+  { id: 'npm-token', name: 'npm token', re: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { id: 'private-key', name: 'PEM private key', re: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/g },
+  {
+    id: 'generic-secret', name: 'High-entropy secret', generic: true,
+    re: /\b[\w.-]*(?:token|secret|passw(?:or)?d|api[_-]?key|apikey|auth)[\w.-]*["']?\s*[:=]\s*["']?([A-Za-z0-9_\-+/=.]{16,})/gi,
+  },
+];
+const SECRET_MIN_ENTROPY = 3.5;
+const SECRET_ALLOW_MARKER = 'cc-health-check:allow-secret';
+
+function shannonEntropy(str) {
+  const freq = {};
+  for (const ch of str) freq[ch] = (freq[ch] || 0) + 1;
+  return Object.values(freq).reduce((h, n) => {
+    const p = n / str.length;
+    return h - p * Math.log2(p);
+  }, 0);
+}
+
+function redact(secret) {
+  return secret.length <= 8 ? '*'.repeat(secret.length) : `${secret.slice(0, 4)}${'*'.repeat(8)} (${secret.length} chars)`;
+}
+
+function scanTextForSecrets(text, file, lineFor = i => i + 1) {
+  const findings = [];
+  text.split('\n').forEach((line, i) => {
+    if (line.includes(SECRET_ALLOW_MARKER)) return;
+    for (const rule of SECRET_RULES) {
+      for (const m of line.matchAll(rule.re)) {
+        const secret = m[1] || m[0];
+        if (rule.generic && (shannonEntropy(secret) < SECRET_MIN_ENTROPY || findings.some(f => f.line === lineFor(i) && f.secret.includes(secret)))) continue;
+        findings.push({ rule: rule.id, name: rule.name, file, line: lineFor(i), secret, redacted: redact(secret) });
+      }
+    }
+  });
+  return findings;
+}
+
+// Same as scanTextForSecrets, but for settings `env` values whose line is
+// looked up in the original file.
+function scanSettingsEnv(host, layer) {
+  if (!isPlainObject(layer.settings.env)) return [];
+  const lines = (host.read(layer.path) ?? '').split('\n');
+  return Object.entries(layer.settings.env).flatMap(([key, value]) => {
+    const lineNo = lines.findIndex(l => l.includes(`"${key}"`)) + 1;
+    return scanTextForSecrets(`${key}="${value}"`, layer.path, () => lineNo || 1);
+  });
+}
+
+// Allowlist entries: the exact secret, a "path:line" location, or a /regex/
+function isAllowlistedSecret(finding, allowlist) {
+  return allowlist.some(entry => {
+    if (typeof entry !== 'string') return false;
+    if (entry.length > 2 && entry.startsWith('/') && entry.endsWith('/')) {
+      try { return new RegExp(entry.slice(1, -1)).test(finding.secret); } catch { return false; }
+    }
+    return entry === finding.secret ||
+      entry === `${finding.file}:${finding.line}` ||
+      entry === `${displayPath(finding.file)}:${finding.line}`;
+  });
+}
+
+function scanForSecrets({ claudeMdFiles, inlineClaudeMd, layers, hooks, mcpConfigPath, allowlist, dirs }) {
+  const scanFile = path => {
+    const text = dirs.host.read(path);
+    return text === null ? [] : scanTextForSecrets(text, path);
+  };
+  const scriptPaths = [...new Set(hooks.map(h => hookScriptFile(h.command, dirs)).filter(Boolean))];
+  const findings = [
+    ...claudeMdFiles.flatMap(scanFile),
+    ...(inlineClaudeMd ? scanTextForSecrets(String(inlineClaudeMd), '(inline CLAUDE.md)') : []),
+    ...layers.flatMap(l => scanSettingsEnv(dirs.host, l)),
+    ...scriptPaths.flatMap(scanFile),
+    ...scanFile(mcpConfigPath),
+  ];
+  return {
+    findings: findings.filter(f => !isAllowlistedSecret(f, allowlist)),
+    allowlisted: findings.filter(f => isAllowlistedSecret(f, allowlist)).length,
+  };
+}
+
+// ─── MCP servers ───
+const PACKAGE_RUNNERS = ['npx', 'bunx', 'pnpx', 'uvx'];
+const SENSITIVE_NAME = /token|secret|passw(or)?d|api[_-]?key|apikey|credential|private[_-]?key|auth/i;
+const AUTH_HEADER = /^(authorization|proxy-authorization|x-api-key|api-key|x-auth-token|.*token.*)$/i;
+
+// Collects servers from ~/.claude.json (user and per-project local scope),
+// the project's .mcp.json, and mcpServers blocks in settings layers.
+function loadMcpServers({ host, claudeJson, claudeJsonPath, mcpConfigPath, layers }) {
+  const servers = [];
+  const add = (entries, scope, source, project) => {
+    if (!isPlainObject(entries)) return;
+    for (const [name, config] of Object.entries(entries)) {
+      if (isPlainObject(config)) servers.push({ name, scope, source, project, config });
+    }
+  };
+  add(claudeJson?.mcpServers, 'user', claudeJsonPath);
+  for (const [project, entry] of Object.entries(claudeJson?.projects || {})) {
+    add(entry?.mcpServers, 'local', claudeJsonPath, project);
+  }
+  add(readJSON(host, mcpConfigPath)?.mcpServers, 'project', mcpConfigPath);
+  for (const l of layers) add(l.settings.mcpServers, l.scope, l.path);
+  return servers;
+}
+
+function isRemoteServer(config) {
+  return ['http', 'sse', 'streamable-http'].includes(config.type) || typeof config.url === 'string';
+}
+
+// Returns the package spec an npx/uvx-style server runs, or null
+function runnerPackage(config) {
+  const cmd = (config.command || '').split(/[\\/]/).pop();
+  const args = Array.isArray(config.args) ? config.args.map(String) : [];
+  let rest = args;
+  if (cmd === 'pnpm' && args[0] === 'dlx') rest = args.slice(1);
+  else if (!PACKAGE_RUNNERS.includes(cmd)) return null;
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === '-p' || a === '--package' || a === '--from') return rest[i + 1] || null;
+    if (!a.startsWith('-')) return a;
+  }
+  return null;
+}
+
+function isPinnedPackage(spec) {
+  if (spec.includes('==')) return true;
+  const at = spec.lastIndexOf('@');
+  if (at <= 0) return false;
+  const version = spec.slice(at + 1);
+  return /^v?\d+\.\d+\.\d+/.test(version);
+}
+
+function inlineCredentials(config) {
+  const found = [];
+  for (const [key, value] of Object.entries(isPlainObject(config.env) ? config.env : {})) {
+    if (typeof value === 'string' && value && !/^\$\{?[A-Za-z_]/.test(value) && SENSITIVE_NAME.test(key)) {
+      found.push(`env.${key}`);
+    }
+  }
+  const args = Array.isArray(config.args) ? config.args.map(String) : [];
+  args.forEach((a, i) => {
+    const flag = a.match(/^--?([\w-]+)=(.+)$/);
+    if (flag && SENSITIVE_NAME.test(flag[1]) && !flag[2].startsWith('$')) found.push(`args[${i}]`);
+    else if (a.startsWith('-') && SENSITIVE_NAME.test(a) && args[i + 1] && !args[i + 1].startsWith('$') && !args[i + 1].startsWith('-')) found.push(`args[${i + 1}]`);
+    else if (scanTextForSecrets(a, '').length > 0) found.push(`args[${i}]`);
+  });
+  for (const [key, value] of Object.entries(isPlainObject(config.headers) ? config.headers : {})) {
+    if (typeof value === 'string' && !value.includes('${') && scanTextForSecrets(`${key}: "${value}"`, '').length > 0) {
+      found.push(`headers.${key}`);
+    }
+  }
+  return found;
+}
+
+function isLocalUrl(url) {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// A user-scope server is project-specific if its command, args or cwd point
+// into one known project, or only one project has allowed its tools.
+function singleProjectUser(server, claudeJson, home) {
+  const projects = Object.keys(claudeJson?.projects || {}).filter(p => p !== home && p !== '/');
+  const text = [server.config.command, server.config.cwd, ...(server.config.args || [])].filter(Boolean).join(' ');
+  const byPath = projects.filter(p => text.includes(p + '/') || text.split(/\s+/).includes(p));
+  if (byPath.length === 1) return byPath[0];
+  const byTools = projects.filter(p => (claudeJson.projects[p]?.allowedTools || [])
+    .some(t => typeof t === 'string' && t.startsWith(`mcp__${server.name}`)));
+  return byTools.length === 1 && byPath.length === 0 ? byTools[0] : null;
+}
+
+// ─── Kill switches ───
+// Shell startup files and launchers that start Claude with its permission prompts off.
+// Aliases, functions and scripts all come down to a command line, so each file is scanned by line.
+const SHELL_STARTUP_FILES = ['.bashrc', '.bash_profile', '.bash_aliases', '.profile', '.zshrc', '.zprofile', '.zshenv', '.config/fish/config.fish', '.tmux.conf'];
+const LAUNCHER_DIRS = ['bin', '.local/bin', '.config/fish/functions'];
+// Compiled binaries in ~/bin are not launcher scripts
+const LAUNCHER_MAX_BYTES = 256 * 1024;
+const BYPASS_FLAG = /--dangerously-skip-permissions\b|--permission-mode[\s=]+["']?bypassPermissions\b/;
+
+function launchFlagFindings(path, text) {
+  const findings = [];
+  let fn = null;
+  text.split('\n').forEach((raw, i) => {
+    const line = raw.trim();
+    if (line.startsWith('#')) return;
+    const def = line.match(/^(?:function\s+([\w.:-]+)|([\w.:-]+)\s*\(\s*\))/);
+    if (def) fn = def[1] || def[2];
+    const flag = line.match(BYPASS_FLAG)?.[0];
+    if (flag) {
+      const alias = line.match(/^(alias|abbr)\s+(?:-\S+\s+)*([\w.:-]+)/);
+      const kind = alias ? `${alias[1]} ${alias[2]}` : fn ? `function ${fn}` : 'command';
+      findings.push({ path, line: i + 1, kind, flag, text: line });
+    }
+    if (/^(?:\}|end\b)/.test(line)) fn = null;
+  });
+  return findings;
+}
+
+function loadLaunchFlags(host, home) {
+  const files = [
+    ...SHELL_STARTUP_FILES.map(f => host.join(home, f)),
+    ...LAUNCHER_DIRS.flatMap(dir => host.list(host.join(home, dir)).filter(e => e.file).map(e => host.join(home, dir, e.name))),
+  ].filter(path => {
+    const stat = host.stat(path);
+    return stat?.file && !(stat.size > LAUNCHER_MAX_BYTES);
+  });
+  const texts = files.map(path => [path, host.read(path)]).filter(([, text]) => text !== null && !text.includes('\0'));
+  return { scanned: texts.length, findings: texts.flatMap(([path, text]) => launchFlagFindings(path, text)) };
+}
+
+// ─── Agents, commands and skills ───
+// Subagents (agents/*.md), slash commands (commands/**/*.md) and skills (skills/<name>/SKILL.md)
+// under ~/.claude and the project's .claude, with the YAML frontmatter that limits their tools.
+const EXTENSION_KINDS = {
+  agent: { dir: 'agents', toolsKey: 'tools', requires: ['name', 'description'] },
+  command: { dir: 'commands', toolsKey: 'allowed-tools', requires: [] },
+  skill: { dir: 'skills', toolsKey: 'allowed-tools', requires: ['name', 'description'] },
+};
+
+// Returns the value, or undefined when it is not valid YAML
+function parseScalar(raw) {
+  const v = raw.trim();
+  if (/^"(?:[^"\\]|\\.)*"$/.test(v)) {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return undefined;
+    }
+  }
+  if (/^'(?:[^']|'')*'$/.test(v)) return v.slice(1, -1).replace(/''/g, "'");
+  if (/^\[.*\]$/.test(v)) {
+    const items = v.slice(1, -1).split(',').filter(s => s.trim()).map(parseScalar);
+    return items.includes(undefined) ? undefined : items;
+  }
+  // Unterminated quotes and lists, flow mappings, and a second "key: value" on one line
+  if (/^["'[{]/.test(v) || /:\s/.test(v.replace(/\s+#.*$/, ''))) return undefined;
+  return v.replace(/\s+#.*$/, '');
+}
+
+// The YAML subset frontmatter uses: "key: value", quoted strings, [a, b] and "- item" lists,
+// and | or > blocks. Returns { data: null } without frontmatter, plus `error` when it does not parse.
+function parseFrontmatter(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (lines[0].trimEnd() !== '---') return { data: null };
+  const end = lines.findIndex((l, i) => i > 0 && l.trimEnd() === '---');
+  if (end === -1) return { data: null, error: 'no closing ---' };
+  const data = {};
+  const open = new Map();
+  let current = null;
+  for (let i = 1; i < end; i++) {
+    const line = lines[i];
+    const fail = why => ({ data: null, error: `line ${i + 1}: ${why}` });
+    const block = current && open.get(current);
+    if (block?.kind === 'block' && (/^\s/.test(line) || line.trim() === '')) {
+      block.items.push(line.trim());
+      continue;
+    }
+    if (/^\s*(#.*)?$/.test(line)) continue;
+    if (block && (/^\s/.test(line) || line.startsWith('- '))) {
+      const item = line.trim().match(/^-\s+(.*)$/);
+      const value = item && parseScalar(item[1]);
+      if (value === undefined || value === null) return fail(`expected "- item" under "${current}"`);
+      block.kind = 'list';
+      block.items.push(value);
+      continue;
+    }
+    current = null;
+    const m = line.match(/^([\w-]+):(?:\s+(.*))?$/);
+    if (!m) return fail(/^\s/.test(line) ? 'unexpected indentation' : 'expected "key: value"');
+    const [, key, raw = ''] = m;
+    if (key in data) return fail(`duplicate key "${key}"`);
+    if (raw.trim() === '' || /^[|>][+-]?$/.test(raw.trim())) {
+      data[key] = null;
+      open.set(key, { kind: raw.trim() ? 'block' : null, fold: raw.trim().startsWith('>'), items: [] });
+      current = key;
+      continue;
+    }
+    const value = parseScalar(raw);
+    if (value === undefined) return fail(`cannot parse the value of "${key}" (quote values that contain ": ")`);
+    data[key] = value;
+  }
+  for (const [key, { kind, fold, items }] of open) {
+    if (kind === 'list') data[key] = items;
+    else if (kind === 'block') data[key] = items.join(fold ? ' ' : '\n').trim();
+  }
+  return { data };
+}
+
+function loadExtensions(host, home, cwd) {
+  const roots = [['user', host.join(home, '.claude')], ...(cwd !== home ? [['project', host.join(cwd, '.claude')]] : [])];
+  return roots.flatMap(([scope, root]) => Object.entries(EXTENSION_KINDS).flatMap(([kind, { dir }]) => {
+    const base = host.join(root, dir);
+    const files = kind === 'skill'
+      ? host.list(base).filter(e => e.dir).map(e => host.join(base, e.name, 'SKILL.md')).filter(p => host.stat(p)?.file)
+      : findFilesRecursive(host, base, kind === 'command' ? 3 : 0).filter(p => p.endsWith('.md'));
+    return files.map(path => {
+      const { data, error } = parseFrontmatter(host.read(path) ?? '');
+      const fallback = (kind === 'skill' ? host.dirname(path) : path).split(/[\\/]/).pop().replace(/\.md$/, '');
+      const name = typeof data?.name === 'string' && data.name.trim() ? data.name.trim() : fallback;
+      return { kind, scope, path, name, data, error };
+    });
+  }));
+}
+
+// "Read, Grep, Bash(git status:*)" or a YAML list; null when the key is absent
+function toolList(value) {
+  if (value === null || value === undefined) return null;
+  const list = Array.isArray(value) ? value.map(String) : String(value).split(/,(?![^(]*\))/);
+  return list.map(s => s.trim()).filter(Boolean);
+}
+
+function extensionToolFindings(ext) {
+  if (!ext.data) return [];
+  const key = EXTENSION_KINDS[ext.kind].toolsKey;
+  const tools = toolList(ext.data[key]);
+  if (tools === null) {
+    return ext.kind === 'agent' ? [{ severity: 'warn', why: 'no tools restriction, so it inherits every tool including Bash' }] : [];
+  }
+  return tools.flatMap(tool => {
+    if (tool === '*') return [{ severity: 'fail', why: `${key}: * allows every tool` }];
+    const rule = parsePermissionRule(tool);
+    if (!rule || !isBroadAllowRule(rule)) return [];
+    const why = rule.tool === 'Bash' && isWildcardSpec(rule.spec) ? `unrestricted Bash (${key}: ${tool})` : `wildcard ${key} entry ${tool}`;
+    return [{ severity: 'fail', why }];
+  });
+}
+
+function extensionDefinitionFindings(ext, env) {
+  if (ext.error) return [{ why: `frontmatter does not parse, ${ext.error}` }];
+  const required = EXTENSION_KINDS[ext.kind].requires;
+  if (!ext.data) return required.length > 0 ? [{ why: 'no frontmatter' }] : [];
+  const missing = required.filter(k => typeof ext.data[k] !== 'string' || !ext.data[k].trim());
+  const findings = missing.length > 0 ? [{ why: `frontmatter has no ${missing.join(' or ')}` }] : [];
+  const user = ext.scope === 'project' && env.extensions.find(o => o.scope === 'user' && o.kind === ext.kind && o.name === ext.name);
+  if (user) findings.push({ why: `same name as the user ${ext.kind} ${displayPath(user.path)}` });
+  return findings;
+}
+
+// ─── CLAUDE.md analysis ───
+// Builds the memory Claude Code loads: user and project CLAUDE.md, CLAUDE.local.md,
+// CLAUDE.md in parent directories, nested per-directory files, and @imports.
+const MAX_IMPORT_DEPTH = 5;
+const DEFAULT_MEMORY_TOKEN_BUDGET = 10000;
+const CHARS_PER_TOKEN = 4;
+const MEMORY_FILES = ['CLAUDE.md', 'CLAUDE.local.md'];
+
+// Lines outside fenced code blocks, with inline code spans kept separately
+function markdownLines(text) {
+  let fence = null;
+  return text.split('\n').map((raw, i) => {
+    const marker = raw.match(/^\s*(```|~~~)/)?.[1];
+    if (marker && (!fence || fence === marker)) {
+      fence = fence ? null : marker;
+      return null;
+    }
+    if (fence) return null;
+    const spans = [...raw.matchAll(/`([^`]+)`/g)].map(m => m[1]);
+    return { line: i + 1, raw, text: raw.replace(/`[^`]*`/g, ' '), spans };
+  }).filter(Boolean);
+}
+
+// @path imports; targets need a path prefix or a file extension so "@types/node" or "@team" are not imports
+function parseImports(text) {
+  return markdownLines(text).flatMap(({ line, text: t }) =>
+    [...t.matchAll(/(?:^|\s)@((?:~|\.{1,2})?\/?[^\s@`'"()<>]+)/g)]
+      .map(m => m[1].replace(/[.,;:]+$/, ''))
+      .filter(target => /^(~|\.{1,2})?\//.test(target) || /\.[A-Za-z0-9]+$/.test(target))
+      .map(target => ({ target, line })));
+}
+
+function resolveImport(host, target, fromFile, home) {
+  if (target.startsWith('~/')) return host.join(home, target.slice(2));
+  return host.resolve(host.dirname(fromFile), target);
+}
+
+function findNestedMemory(host, dir, maxDepth = 4, depth = 0) {
+  if (depth > maxDepth) return [];
+  return host.list(dir).flatMap(e => {
+    if (depth > 0 && e.file && MEMORY_FILES.includes(e.name)) return [host.join(dir, e.name)];
+    if (e.dir && !e.name.startsWith('.') && e.name !== 'node_modules') {
+      return findNestedMemory(host, host.join(dir, e.name), maxDepth, depth + 1);
+    }
+    return [];
+  });
+}
+
+// Always-loaded memory roots, lowest precedence first, plus lazily loaded nested files
+function memoryRoots(host, home, cwd) {
+  const { join, dirname } = host;
+  const roots = [
+    { path: join(home, 'CLAUDE.md'), kind: 'user' },
+    { path: join(home, '.claude', 'CLAUDE.md'), kind: 'user' },
+  ];
+  if (cwd !== home) {
+    const parents = [];
+    for (let dir = dirname(cwd); dir !== home && dir !== dirname(dir); dir = dirname(dir)) parents.unshift(dir);
+    for (const dir of parents) roots.push(...MEMORY_FILES.map(f => ({ path: join(dir, f), kind: 'parent' })));
+    roots.push(
+      { path: join(cwd, 'CLAUDE.md'), kind: 'project' },
+      { path: join(cwd, '.claude', 'CLAUDE.md'), kind: 'project' },
+      { path: join(cwd, 'CLAUDE.local.md'), kind: 'local' },
+      ...findNestedMemory(host, cwd).map(path => ({ path, kind: 'nested' })),
+    );
+  }
+  return roots.filter(r => host.stat(r.path));
+}
+
+function packageScripts(host, dir) {
+  const pkg = readJSON(host, host.join(dir, 'package.json'));
+  return isPlainObject(pkg) ? Object.keys(isPlainObject(pkg.scripts) ? pkg.scripts : {}) : null;
+}
+
+function makeTargets(host, dir) {
+  const text = host.read(host.join(dir, 'Makefile'));
+  return text === null ? null : [...text.matchAll(/^([\w.-]+)\s*:(?!=)/gm)].map(m => m[1]);
+}
+
+// Paths and npm/make commands in inline code that no longer exist. Relative paths and
+// commands are only checked in project files; user memory may refer to any project.
+function staleReferences(file, text, { host, home, cwd, projectFile }) {
+  const exists = path => host.stat(path) !== null;
+  const stale = [];
+  for (const { line, spans } of markdownLines(text)) {
+    for (const span of spans) {
+      const code = span.trim();
+      const run = code.match(/^(?:npm|pnpm|yarn|bun) run ([\w:.-]+)/);
+      const make = code.match(/^make ([\w.-]+)$/);
+      if (run && projectFile) {
+        const scripts = packageScripts(host, cwd);
+        if (scripts && !scripts.includes(run[1])) stale.push({ file, line, ref: code, reason: `no "${run[1]}" script in package.json` });
+        continue;
+      }
+      if (make && projectFile) {
+        const targets = makeTargets(host, cwd);
+        if (targets && !targets.includes(make[1])) stale.push({ file, line, ref: code, reason: `no "${make[1]}" target in Makefile` });
+        continue;
+      }
+      if (/\s|:\/\/|[*?<>{}$|]/.test(code) || !code.includes('/') || !/^(~\/|\.{0,2}\/|[\w.-]+\/)/.test(code)) continue;
+      if (code.startsWith('~/')) {
+        if (!exists(host.join(home, code.slice(2)))) stale.push({ file, line, ref: code, reason: 'path does not exist' });
+      } else if (code.startsWith('/')) {
+        if (!exists(code)) stale.push({ file, line, ref: code, reason: 'path does not exist' });
+      } else if (projectFile && !exists(host.resolve(host.dirname(file), code)) && !exists(host.resolve(cwd, code))) {
+        stale.push({ file, line, ref: code, reason: 'path does not exist' });
+      }
+    }
+  }
+  return stale;
+}
+
+function analyzeMemory({ host, home, cwd, inline, tokenBudget = DEFAULT_MEMORY_TOKEN_BUDGET }) {
+  const roots = inline !== undefined
+    ? [{ path: host.join(cwd, 'CLAUDE.md'), kind: 'project', text: String(inline) }]
+    : memoryRoots(host, home, cwd);
+  const files = new Map();
+  const missing = [];
+  const cycles = [];
+  const tooDeep = [];
+  const read = path => host.read(path);
+  const visit = (path, kind, text, stack) => {
+    if (stack.includes(path)) {
+      cycles.push([...stack.slice(stack.indexOf(path)), path]);
+      return;
+    }
+    if (files.has(path)) return;
+    files.set(path, { path, kind, text, tokens: Math.ceil(text.length / CHARS_PER_TOKEN) });
+    for (const { target, line } of parseImports(text)) {
+      const to = resolveImport(host, target, path, home);
+      const toText = stack.includes(to) || files.has(to) ? '' : read(to);
+      if (toText === null) missing.push({ file: path, line, target });
+      else if (stack.length + 1 > MAX_IMPORT_DEPTH) tooDeep.push({ file: path, line, target });
+      else visit(to, kind === 'nested' ? 'nested' : 'import', toText || files.get(to)?.text || '', [...stack, path]);
+    }
+  };
+  for (const root of roots) {
+    const text = root.text ?? read(root.path);
+    if (text !== null) visit(root.path, root.kind, text, []);
+  }
+  const list = [...files.values()];
+  const inProject = p => cwd !== home && (p === cwd || p.startsWith(cwd + '/'));
+  return {
+    files: list,
+    // Nested files load only when Claude works in that directory, so they are not counted
+    tokens: list.filter(f => f.kind !== 'nested').reduce((sum, f) => sum + f.tokens, 0),
+    tokenBudget,
+    missing,
+    cycles,
+    tooDeep,
+    stale: list.flatMap(f => staleReferences(f.path, f.text, { host, home, cwd, projectFile: inProject(f.path) })),
+  };
+}
+
+// ─── CLAUDE.md rules ───
+// Rule checks read CLAUDE.md as Markdown statements instead of substrings: code blocks,
+// HTML comments and struck-out text are skipped, negated mentions do not count, and each
+// match is rated by whether it reads as an instruction and sits under a related heading.
+// "without", "skip" and "forget" negate what follows them, so under another negator they
+// cancel out: "never work without a backup" asks for one.
+const NEGATOR = /\b(?:never|not|no|don't|dont|do not|doesn't|without|skip|skipping|forget|nor)\b|n't\b/g;
+const NEGATED_AFTER = /^[^,]*?\b(?:is|are)\s+(?:not\s+(?:needed|required|necessary|used)|unnecessary|optional|disabled)\b/;
+const INSTRUCTION = /^(?:always|never|must|do|don't|use|run|create|make|check|verify|add|keep|before|after|when|if|stop|escalate|log|write|record|take|confirm|commit|push|test|work|ask|read|update|follow|save|track|decide|prefer|avoid)\b|\b(?:must|should|always|never|need to|needs to|has to|have to)\b/;
+const CONFIDENCE = { low: 1, medium: 2, high: 3 };
+
+// Headings, list items and prose lines of the always-loaded CLAUDE.md files, lowercased
+function memoryStatements(memory) {
+  const statements = [];
+  for (const file of memory.files.filter(f => f.kind !== 'nested')) {
+    let comment = false;
+    let section = null;
+    for (const { line, raw } of markdownLines(file.text)) {
+      let text = raw;
+      if (comment) {
+        if (!text.includes('-->')) continue;
+        text = text.slice(text.indexOf('-->') + 3);
+        comment = false;
+      }
+      text = text.replace(/<!--.*?-->/g, ' ');
+      if (text.includes('<!--')) {
+        text = text.slice(0, text.indexOf('<!--'));
+        comment = true;
+      }
+      text = text.replace(/~~.*?~~/g, ' ').replace(/`/g, '').trim().toLowerCase();
+      if (!text) continue;
+      const heading = text.match(/^#{1,6}\s+(.*)$/);
+      if (heading) {
+        section = { file: file.path, line, kind: 'heading', text: heading[1], instructions: 0 };
+        statements.push(section);
+        continue;
+      }
+      const item = text.match(/^(?:[-*+]|\d+[.)])\s+(?:\[[ x]\]\s+)?(.*)$/);
+      const body = item ? item[1] : text.replace(/^>\s*/, '');
+      if (section && (item || INSTRUCTION.test(body))) section.instructions++;
+      statements.push({ file: file.path, line, kind: item ? 'item' : 'prose', text: body, section });
+    }
+  }
+  return statements;
+}
+
+// A negator only governs a term in the same comma-separated part of the clause
+function negatedBefore(prefix) {
+  const scope = prefix.slice(prefix.lastIndexOf(',') + 1);
+  return (scope.match(NEGATOR) ?? []).length % 2 === 1;
+}
+
+// Best non-negated match of any term: high when an instruction sits under a related heading
+// (or the heading itself matches and has instructions), medium for one of the two, low otherwise
+function findRule(env, { terms, sections = [] }) {
+  let match = null;
+  const negated = [];
+  for (const st of env.claudeMdStatements) {
+    for (const clause of st.text.split(/[.;!?](?:\s|$)|,\s*but\b|\s[-–—]\s/)) {
+      for (const term of terms) {
+        const m = clause.match(term);
+        if (!m) continue;
+        const where = { file: st.file, line: st.line, text: st.text };
+        if (negatedBefore(clause.slice(0, m.index)) || NEGATED_AFTER.test(clause.slice(m.index + m[0].length))) {
+          negated.push(where);
+          traceEvidence(env, false, 'claudeMd', `negated: "${st.text}"`, st.file, st.line);
+          continue;
+        }
+        let confidence;
+        if (st.kind === 'heading') {
+          confidence = st.instructions > 0 ? 'high' : 'low';
+        } else {
+          const instruction = st.kind === 'item' || (INSTRUCTION.test(clause.trim()) && !clause.trim().endsWith('?'));
+          const related = sections.some(re => re.test(st.section?.text ?? ''));
+          confidence = instruction && related ? 'high' : instruction || related ? 'medium' : 'low';
+        }
+        traceEvidence(env, true, 'claudeMd', `${st.text} (${confidence} confidence)`, st.file, st.line);
+        if (!match || CONFIDENCE[confidence] > CONFIDENCE[match.confidence]) match = { ...where, confidence };
+      }
+    }
+  }
+  if (!match) traceEvidence(env, false, 'claudeMd', `CLAUDE.md rule matching ${terms.join(' or ')}`);
+  return { match, negated };
+}
+
+// A check met by a hook or file passes outright. Otherwise its CLAUDE.md rule decides:
+// a low-confidence match is a warn, and negated mentions alone still fail.
+function ruleResult(rule, met, pass, fail, sources = []) {
+  if (met) return { pass: true, confidence: 'high', detail: pass, sources };
+  const { match, negated } = rule;
+  if (match) {
+    const at = `${displayPath(match.file)}:${match.line}`;
+    if (match.confidence === 'low') {
+      const quote = match.text.length > 60 ? `${match.text.slice(0, 57)}...` : match.text;
+      return { status: 'warn', confidence: 'low', detail: `Low confidence: only a passing mention at ${at} ("${quote}"), not an instruction`, sources: [match.file] };
+    }
+    return { pass: true, confidence: match.confidence, detail: `${pass} (${at})`, sources: [match.file] };
+  }
+  const only = negated.length > 0 ? ` (only negated mentions: ${negated.map(n => `${displayPath(n.file)}:${n.line}`).join(', ')})` : '';
+  return { pass: false, confidence: 'high', detail: fail + only };
+}
+
+// ─── Session transcripts (--evidence) ───
+// Reads ~/.claude/projects/*/*.jsonl to see what actually happened at runtime:
+// hook blocks, failing-command loops, compactions, idle gaps and tool failures.
+const DEFAULT_EVIDENCE_DAYS = 30;
+const LOOP_REPEATS = 5;
+const IDLE_GAP_MINUTES = 30;
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('\n');
+}
+
+function isHookBlock(text) {
+  return /hook/i.test(text) && /block|denied|deny|status code 2|exit code 2/i.test(text);
+}
+
+function transcriptFiles(host, projectsDir, since) {
+  return host.list(projectsDir).filter(d => d.dir).flatMap(d => host.list(host.join(projectsDir, d.name))
+    .filter(f => f.name.endsWith('.jsonl'))
+    .map(f => host.join(projectsDir, d.name, f.name))
+    .filter(p => (host.stat(p)?.mtimeMs ?? 0) >= since));
+}
+
+function readTranscripts(host, projectsDir, days = DEFAULT_EVIDENCE_DAYS) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const files = transcriptFiles(host, projectsDir, since);
+  const sessions = new Map();
+  const stats = {
+    days, dir: projectsDir, files: files.length, sessions: 0, skippedLines: 0,
+    blocks: 0, toolFailures: 0, loopSessions: 0, forcedCompactions: 0, manualCompactions: 0, idleGaps: 0,
+  };
+  for (const file of files) {
+    const text = host.read(file);
+    if (text === null) continue;
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        stats.skippedLines++;
+        continue;
+      }
+      if (!isPlainObject(entry)) {
+        stats.skippedLines++;
+        continue;
+      }
+      const time = Date.parse(entry.timestamp);
+      if (Number.isFinite(time) && time < since) continue;
+      const id = entry.sessionId || file;
+      if (!sessions.has(id)) sessions.set(id, { last: null, tools: new Map(), failures: new Map() });
+      const session = sessions.get(id);
+      if (Number.isFinite(time)) {
+        if (session.last !== null && time - session.last > IDLE_GAP_MINUTES * 60 * 1000) stats.idleGaps++;
+        session.last = time;
+      }
+      if (entry.type === 'system' && entry.subtype === 'compact_boundary') {
+        if (entry.compactMetadata?.trigger === 'manual') stats.manualCompactions++;
+        else stats.forcedCompactions++;
+      }
+      if (entry.type === 'system' && isHookBlock(contentText(entry.content))) stats.blocks++;
+      const content = Array.isArray(entry.message?.content) ? entry.message.content : [];
+      for (const part of content) {
+        if (part?.type === 'tool_use') {
+          session.tools.set(part.id, `${part.name} ${JSON.stringify(part.input ?? {})}`);
+        } else if (part?.type === 'tool_result' && part.is_error) {
+          stats.toolFailures++;
+          if (isHookBlock(contentText(part.content))) stats.blocks++;
+          const key = session.tools.get(part.tool_use_id);
+          if (key) session.failures.set(key, (session.failures.get(key) || 0) + 1);
+        }
+      }
+    }
+  }
+  stats.sessions = sessions.size;
+  stats.loopSessions = [...sessions.values()].filter(s => [...s.failures.values()].some(n => n >= LOOP_REPEATS)).length;
+  return stats;
+}
+
+// "Loop detection configured, but ..." when the static check passed, plain facts otherwise
+function runtimeNote(result, configured, fact) {
+  return result.pass ? `${configured}, but ${fact}` : fact[0].toUpperCase() + fact.slice(1);
+}
+
+// ─── Tool config ───
+const DEFAULT_GRADES = { productionReady: 80, gettingThere: 60, needsWork: 35 };
+const DEFAULT_FAIL_UNDER = 60;
+
+async function loadToolConfig(host, path, warn) {
+  if (path.endsWith('.json')) {
+    const config = readJSON(host, path);
+    if (!isPlainObject(config)) warn(`Ignoring ${displayPath(path)}: not a JSON object`);
+    return config;
+  }
+  if (!host.importModule) {
+    warn(`Ignoring ${displayPath(path)}: .mjs config can only be loaded from disk`);
+    return null;
+  }
+  try {
+    const mod = await host.importModule(path);
+    return mod.default ?? mod;
+  } catch (err) {
+    warn(`Ignoring ${displayPath(path)}: ${err.message}`);
+    return null;
+  }
+}
+
+// Declarative tests for custom checks defined in JSON, e.g.
+// { "require": { "hook": "audit-log", "event": "PostToolUse" } }
+function declarativeTest(require) {
+  return ctx => {
+    if (require.hook) {
+      const needle = require.hook.toLowerCase();
+      const hit = ctx.hooks.find(h => (!require.event || h.event === require.event) && h.command.toLowerCase().includes(needle));
+      return hit
+        ? { pass: true, detail: `Hook found: ${hit.command}`, sources: [hit.source] }
+        : { pass: false, detail: `No ${require.event || ''} hook matching "${require.hook}"`.replace('  ', ' ') };
+    }
+    if (require.claudeMd) {
+      return ctx.claudeMd.includes(require.claudeMd.toLowerCase())
+        ? { pass: true, detail: `CLAUDE.md mentions "${require.claudeMd}"` }
+        : { pass: false, detail: `CLAUDE.md does not mention "${require.claudeMd}"` };
+    }
+    if (require.file) {
+      const path = require.file.replace(/^~(?=\/)/, ctx.home);
+      return ctx.fileExists(path)
+        ? { pass: true, detail: `${require.file} exists` }
+        : { pass: false, detail: `${require.file} not found` };
+    }
+    if (require.deny) {
+      return getPermissionRules(ctx.settings, 'deny').includes(require.deny)
+        ? { pass: true, detail: `Deny rule ${require.deny} present` }
+        : { pass: false, detail: `Deny rule ${require.deny} missing` };
+    }
+    return { pass: false, detail: 'Unknown "require" type (use hook, claudeMd, file or deny)' };
+  };
+}
+
+function checkContext(env) {
+  return {
+    home: env.home,
+    cwd: env.cwd,
+    settings: env.settings,
+    hooks: env.hooks,
+    claudeMd: env.claudeMd,
+    mcpServers: env.mcpServers,
+    fileExists: p => env.host.stat(env.host.resolve(env.cwd, p)) !== null,
+    readFile: p => {
+      const text = env.host.read(env.host.resolve(env.cwd, p));
+      if (text === null) throw new Error(`${p} not found`);
+      return text;
+    },
+  };
+}
+
+function customCheck(def, warn) {
+  if (!isPlainObject(def) || typeof def.q !== 'string' || !(typeof def.test === 'function' || isPlainObject(def.require))) {
+    warn(`Ignoring custom check ${JSON.stringify(def?.id || def?.q || def)}: needs "q" and a "test" function or "require" object`);
+    return null;
+  }
+  const test = typeof def.test === 'function' ? def.test : declarativeTest(def.require);
+  const slug = def.q.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return {
+    id: def.id || `custom-${slug}`,
+    cat: def.cat || 'Custom',
+    q: def.q,
+    w: Number.isFinite(def.w) ? def.w : 5,
+    test(env) {
+      try {
+        const result = test(checkContext(env));
+        return isPlainObject(result) ? result : { pass: Boolean(result), detail: result ? 'Passed' : 'Failed' };
+      } catch (err) {
+        return { pass: false, detail: `Custom check threw: ${err.message}` };
+      }
+    },
+    fix: def.fix || '',
+    hook: def.hook,
+    recommend: Array.isArray(def.recommend) ? def.recommend : [],
+  };
+}
+
+// Applies disable / weights / custom checks from the tool config
+function configureChecks(builtIn, config, warn) {
+  const disabled = new Set(Array.isArray(config.disable) ? config.disable : []);
+  const weights = isPlainObject(config.weights) ? config.weights : {};
+  const custom = (Array.isArray(config.checks) ? config.checks : []).map(def => customCheck(def, warn)).filter(Boolean);
+  for (const id of [...disabled, ...Object.keys(weights)]) {
+    if (![...builtIn, ...custom].some(ch => ch.id === id)) warn(`Unknown check id in config: ${id}`);
+  }
+  return [...builtIn, ...custom]
+    .filter(ch => !disabled.has(ch.id))
+    .map(ch => (Number.isFinite(weights[ch.id]) ? { ...ch, w: weights[ch.id] } : ch));
+}
+
+function percentOf(score, total) {
+  return total > 0 ? Math.round((score / total) * 100) : 100;
+}
+
+function gradeFor(pct, grades) {
+  if (pct >= grades.productionReady) return 'Production Ready';
+  if (pct >= grades.gettingThere) return 'Getting There';
+  if (pct >= grades.needsWork) return 'Needs Work';
+  return 'Critical';
+}
+
+// ─── Load environment ───
+// Everything the checks look at for one home directory and one project, read through `host`.
+// `managed` is off when scanning another home, since managed settings are machine-wide.
+// `settings` (an object) and `claudeMd` (a string) replace the files on disk.
+async function loadEnvironment({
+  host, home, cwd, managed = true, probe = false, evidence = false,
+  settings: inlineSettings, claudeMd: inlineClaudeMd, checks: filter,
+}) {
+  const { join } = host;
+  const ccDir = join(home, '.claude');
+  const warnings = [];
+  const warn = msg => warnings.push(msg);
+  const settingsLayers = inlineSettings !== undefined
+    ? [{ scope: 'inline', path: '(inline settings)', settings: isPlainObject(inlineSettings) ? inlineSettings : {} }]
+    : loadSettingsLayers(host, settingsLayerPaths(host, home, cwd, managed));
+  const settings = settingsLayers.length > 0
+    ? settingsLayers.reduce((merged, l) => mergeSettings(merged, l.settings), {})
+    : null;
+  // allowManagedHooksOnly in managed settings disables hooks from every other layer
+  const managedHooksOnly = settingsLayers.some(l => l.scope === 'managed' && l.settings.allowManagedHooksOnly === true);
+  const hooks = settingsLayers
+    .filter(l => !managedHooksOnly || l.scope === 'managed')
+    .flatMap(l => getAllHookCommands(l.settings).map(h => ({ ...h, source: l.path, scope: l.scope })));
+
+  // Tool config (.cc-health-check.json / .mjs) from home and project, project wins
+  const configPaths = [home, ...(cwd !== home ? [cwd] : [])]
+    .flatMap(dir => CONFIG_FILES.map(f => join(dir, f)))
+    .filter(p => host.stat(p));
+  const config = (await Promise.all(configPaths.map(p => loadToolConfig(host, p, warn))))
+    .filter(isPlainObject)
+    .reduce(mergeSettings, {});
+
+  // CLAUDE.md in home, plus the project when it is not the home itself, with their @imports
+  const memory = analyzeMemory({
+    host,
+    home,
+    cwd,
+    inline: inlineClaudeMd,
+    tokenBudget: Number.isFinite(config.memory?.tokenBudget) ? config.memory.tokenBudget : undefined,
+  });
+  const claudeMdFiles = inlineClaudeMd !== undefined ? [] : memory.files.map(f => f.path);
+  const claudeMd = memory.files.map(f => f.text.toLowerCase()).join('\n');
+
+  const claudeJsonPath = join(home, '.claude.json');
+  const claudeJson = readJSON(host, claudeJsonPath);
+  const mcpConfigPath = join(cwd, '.mcp.json');
+
+  const env = {
+    host,
+    home,
+    ccDir,
+    cwd,
+    probe,
+    // Runtime stats from session transcripts, when evidence is true or { days }
+    evidence: evidence ? readTranscripts(host, join(ccDir, 'projects'), evidence.days ?? DEFAULT_EVIDENCE_DAYS) : null,
+    warnings,
+    settingsLayers,
+    settings,
+    managedHooksOnly,
+    hooks,
+    claudeMdFiles,
+    claudeMd,
+    claudeMdStatements: memoryStatements(memory),
+    // The home directory is audited for every repo, so git checks always apply there
+    gitRepo: cwd === home || inGitRepo(host, cwd),
+    inlineClaudeMd,
+    memory,
+    configPaths,
+    config,
+    claudeJsonPath,
+    claudeJson,
+    mcpConfigPath,
+    mcpServers: loadMcpServers({ host, claudeJson, claudeJsonPath, mcpConfigPath, layers: settingsLayers }),
+    extensions: loadExtensions(host, home, cwd),
+    launchFlags: loadLaunchFlags(host, home),
+    grades: { ...DEFAULT_GRADES, ...(isPlainObject(config.grades) ? config.grades : {}) },
+    failUnder: Number.isFinite(config.failUnder) ? config.failUnder : DEFAULT_FAIL_UNDER,
+    acceptedRisks: isPlainObject(config.acceptedRisks) ? config.acceptedRisks : {},
+    checks: selectChecks(configureChecks(checks, config, warn), filter),
+  };
+  env.coverage = hookCoverage(env);
+  return env;
+}
+
+function sourcesOf(hooks) {
+  return [...new Set(hooks.map(h => h.source))];
+}
+
+// A check with nothing to evaluate is reported as info and left out of the score
+function notApplicable(env, kind, lookingFor, detail) {
+  traceEvidence(env, false, kind, lookingFor);
+  return { status: 'info', detail };
+}
+
+// The hook command plus its script, for checks that look at what a hook actually handles
+function hookText(h, env) {
+  const sf = hookScriptFile(h.command, env);
+  // Missing scripts are reported by safety-hooks-runnable
+  const script = sf ? env.host.read(sf) ?? '' : '';
+  return `${h.command}\n${script}`;
+}
+
+function inGitRepo(host, dir) {
+  for (let d = dir; ; d = host.dirname(d)) {
+    if (host.stat(host.join(d, '.git'))) return true;
+    if (d === host.dirname(d)) return false;
+  }
+}
+
+// Languages a syntax hook checks, and the project files that need them
+const SYNTAX_LANGUAGES = {
+  Python: { markers: ['py_compile', 'pyflakes', 'ruff', 'mypy', '*.py'], extensions: ['.py'] },
+  JavaScript: { markers: ['node --check', 'eslint', 'tsc', 'biome', '*.js', '*.ts'], extensions: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'] },
+  Shell: { markers: ['bash -n', 'sh -n', 'shellcheck', '*.sh'], extensions: ['.sh', '.bash'] },
+};
+
+function projectLanguages(host, cwd) {
+  const files = findFilesRecursive(host, cwd, 2);
+  return Object.entries(SYNTAX_LANGUAGES)
+    .filter(([, lang]) => files.some(f => lang.extensions.some(ext => f.endsWith(ext))))
+    .map(([name]) => name);
+}
+
+function mcpFindings(env, lookingFor, fn) {
+  const findings = env.mcpServers.flatMap(sv => {
+    const why = fn(sv);
+    if (why) traceEvidence(env, true, 'mcp', `${sv.name} (${sv.scope}): ${why}`, sv.source);
+    return why ? [`${sv.name} (${sv.scope}, ${displayPath(sv.source)}): ${why}`] : [];
+  });
+  if (findings.length === 0) traceEvidence(env, false, 'mcp', `${lookingFor} in ${env.mcpServers.length} MCP server(s)`);
+  return findings;
+}
+
+function extensionFindings(env, lookingFor, fn) {
+  const findings = env.extensions.flatMap(ext => fn(ext, env).map(f => {
+    traceEvidence(env, true, ext.kind, `${ext.name} (${ext.scope}): ${f.why}`, ext.path);
+    return { ...f, text: `${ext.kind} ${ext.name} (${displayPath(ext.path)}): ${f.why}` };
+  }));
+  if (findings.length === 0) traceEvidence(env, false, 'file', `${lookingFor} in ${env.extensions.length} agent, command and skill file(s)`);
+  return findings;
+}
+
+// ─── Evidence ───
+// runChecks gives each check its own `trace`. Checks and the helpers they call record what
+// matched (file and line where there is one) and what they looked for but did not find.
+function traceEvidence(env, matched, kind, text, file, line) {
+  env.trace?.push({ matched, kind, text, file, line });
+}
+
+function hookLabel(h) {
+  return `${h.event}${h.matcher ? ` (${h.matcher})` : ''} ${h.command}`;
+}
+
+// First line of a file containing one of the patterns, for pointing at a hook script
+function lineContaining(host, file, patterns) {
+  const lines = host.read(file)?.split('\n') ?? [];
+  const i = lines.findIndex(l => patterns.some(p => l.includes(p)));
+  return i === -1 ? null : { line: i + 1, text: lines[i].trim() };
+}
+
+// The highest-precedence settings layer where fn(settings) holds
+function layerDefining(env, fn) {
+  return [...env.settingsLayers].reverse().find(l => fn(l.settings))?.path;
+}
+
+function ruleSource(env, kind, raw) {
+  return layerDefining(env, s => getPermissionRules(s, kind).includes(raw));
+}
+
+function anyFile(env, paths) {
+  const found = paths.filter(p => env.host.stat(p));
+  for (const p of paths) traceEvidence(env, found.includes(p), 'file', displayPath(p), found.includes(p) ? p : undefined);
+  return found.length > 0;
+}
+
+function hooksMatching(env, patterns) {
+  const matched = env.hooks.filter(h => patterns.some(p => h.command.toLowerCase().includes(p)));
+  for (const p of patterns) {
+    const hooks = matched.filter(h => h.command.toLowerCase().includes(p));
+    if (hooks.length === 0) traceEvidence(env, false, 'hook', `hook command containing "${p}"`);
+    for (const h of hooks) traceEvidence(env, true, 'hook', `${hookLabel(h)} (contains "${p}")`, h.source);
+  }
+  return matched;
+}
+
+// ─── Checks ───
+const checks = [
+  // === SAFETY (8 checks, 5+5+5+5+5+3+5+5 = 38) ===
+  {
+    id: 'safety-destructive-guard',
+    cat: 'Safety Guards',
+    q: 'PreToolUse hook blocks dangerous commands (rm -rf, git reset --hard)',
+    w: 5,
+    test(env) {
+      const preHooks = env.hooks.filter(h => h.event.toLowerCase().includes('pretooluse'));
+      if (preHooks.length === 0) {
+        traceEvidence(env, false, 'hook', 'PreToolUse hook');
+        return { pass: false, detail: 'No PreToolUse hooks found' };
+      }
+      // Only hooks whose matcher fires for Bash can stop a shell command
+      const bashHooks = preHooks.filter(h => matcherApplies(h.matcher, 'Bash'));
+      for (const h of preHooks.filter(h => !bashHooks.includes(h))) {
+        traceEvidence(env, false, 'hook', `${hookLabel(h)} (matcher does not apply to Bash)`, h.source);
+      }
+      if (bashHooks.length === 0) {
+        const matchers = [...new Set(preHooks.map(h => h.matcher))].join(', ');
+        return { pass: false, detail: `${preHooks.length} PreToolUse hook(s) found but none run for Bash (matcher: ${matchers})` };
+      }
+      if (env.probe && env.host.probe) {
+        const probe = env.host.probe(bashHooks, env.home);
+        for (const p of probe) traceEvidence(env, p.blocked, 'probe', `${p.command} → ${p.blocked ? 'blocked' : 'allowed'}`);
+        const missed = probe.filter(p => !p.blocked).map(p => p.command);
+        return missed.length === 0
+          ? { pass: true, detail: `All ${probe.length} dangerous commands blocked by probe`, probe, sources: sourcesOf(bashHooks) }
+          : { pass: false, detail: `${probe.length - missed.length}/${probe.length} dangerous commands blocked; not blocked: ${missed.join(', ')}`, probe };
+      }
+      const guardHooks = env.coverage.Bash.guard.hooks;
+      for (const h of guardHooks) traceEvidence(env, true, 'hook', hookLabel(h), h.source);
+      const scripted = guardHooks.map(h => ({ h, sf: guardScript(h, env) })).find(g => g.sf);
+      if (scripted) {
+        const at = lineContaining(env.host, scripted.sf, GUARD_SCRIPT_PATTERNS);
+        traceEvidence(env, true, 'script', at?.text ?? displayPath(scripted.sf), scripted.sf, at?.line);
+        return { pass: true, detail: `Safety hook found: ${displayPath(scripted.sf)}`, sources: [scripted.h.source] };
+      }
+      if (guardHooks.length === 0) {
+        traceEvidence(env, false, 'hook', `PreToolUse hook on Bash with safety patterns (${GUARD_SCRIPT_PATTERNS.join(', ')})`);
+      }
+      return guardHooks.length > 0
+        ? { pass: true, detail: `${guardHooks.length} PreToolUse hook(s) on Bash with safety patterns`, sources: sourcesOf(guardHooks) }
+        : { pass: false, detail: `${bashHooks.length} PreToolUse hook(s) run for Bash but no safety patterns detected` };
+    },
+    runtime(ev, result) {
+      if (ev.blocks > 0) return `Hooks blocked ${ev.blocks} tool call(s) in the last ${ev.days} days`;
+      return result.pass && ev.sessions > 0 ? `Guard configured, but no tool call was blocked in the last ${ev.days} days` : null;
+    },
+    fix: 'Add a PreToolUse hook that blocks destructive commands. A single shell script can catch rm -rf, force push, and database drops.',
+    hook: 'hooks/branch-guard.sh',
+    recommend: ['rm-safety-net', 'no-sudo-guard', 'credential-exfil-guard'],
+    autofix: { script: 'destructive-guard' },
+  },
+  {
+    id: 'safety-secrets',
+    cat: 'Safety Guards',
+    q: 'API keys stored in dedicated files (not hardcoded in CLAUDE.md, settings, hooks or MCP config)',
+    w: 5,
+    test(env) {
+      const { findings, allowlisted } = scanForSecrets({
+        claudeMdFiles: env.claudeMdFiles,
+        inlineClaudeMd: env.inlineClaudeMd,
+        layers: env.settingsLayers,
+        hooks: env.hooks,
+        mcpConfigPath: env.mcpConfigPath,
+        allowlist: env.config.secrets?.allowlist || [],
+        dirs: env,
+      });
+      if (findings.length > 0) {
+        const secrets = findings.map(({ secret, ...f }) => f);
+        const where = [...new Set(findings.map(f => displayPath(f.file)))].join(', ');
+        return { pass: false, detail: `${findings.length} possible secret(s) found in ${where}`, secrets };
+      }
+      const hasCredFile = anyFile(env, ['.credentials', '.env', '.secrets'].map(f => env.host.join(env.home, f)));
+      const note = allowlisted > 0 ? ` (${allowlisted} allowlisted)` : '';
+      return { pass: true, detail: (hasCredFile ? 'Credentials stored in dedicated file' : 'No leaked keys detected') + note };
+    },
+    fix: 'Move API keys out of CLAUDE.md, settings env, hook scripts and .mcp.json into ~/.credentials or environment variables, then rotate them.',
+    hook: 'templates/CLAUDE-autonomous.md',
+    recommend: ['hardcoded-secret-detector', 'write-secret-guard', 'output-secret-mask'],
+  },
+  {
+    id: 'safety-branch-protection',
+    cat: 'Safety Guards',
+    q: 'Setup prevents pushing to main/master without review',
+    w: 5,
+    test(env) {
+      if (!env.gitRepo) return notApplicable(env, 'file', '.git in the project or a parent directory', 'Not a git repository');
+      const branchHooks = hooksMatching(env, ['main', 'master', 'branch', 'push']);
+      // A guard that names only one of main/master leaves the other open
+      const text = branchHooks.map(h => hookText(h, env)).join('\n');
+      const named = ['main', 'master'].filter(b => new RegExp(`\\b${b}\\b`).test(text));
+      if (named.length === 1) {
+        const other = named[0] === 'main' ? 'master' : 'main';
+        traceEvidence(env, false, 'hook', `branch guard naming "${other}"`);
+        return { status: 'warn', detail: `Branch guard only covers ${named[0]}; pushes to ${other} are not blocked`, sources: sourcesOf(branchHooks) };
+      }
+      const rule = findRule(env, {
+        terms: [/\bfeature branch/, /\b(?:never|don't|do not|no)\b.*\bpush\w*\b.*\b(?:main|master)\b/, /\bpush\w*\b.*\b(?:main|master)\b/],
+        sections: [/branch|git|push/],
+      });
+      return ruleResult(rule, branchHooks.length > 0, 'Branch protection detected', 'No branch protection rules found', sourcesOf(branchHooks));
+    },
+    fix: 'Add a PreToolUse hook that checks the target branch before git push. Block direct pushes to main/master.',
+    hook: 'hooks/branch-guard.sh',
+    recommend: ['no-push-without-ci', 'git-remote-guard', 'no-git-amend-push'],
+    autofix: { script: 'branch-guard' },
+  },
+  {
+    id: 'safety-error-gate',
+    cat: 'Safety Guards',
+    q: 'Error-aware gate blocks external calls when errors exist',
+    w: 5,
+    test(env) {
+      const gateHooks = hooksMatching(env, ['error', 'err-tracker', 'err_code']);
+      const rule = findRule(env, {
+        terms: [/\berrors?\b.*\bblock/, /\bblock\w*\b.*\berrors?\b/, /\b(?:never|don't|do not|no)\b.*\b(?:unresolved|open) errors?\b/],
+        sections: [/error/],
+      });
+      return ruleResult(rule, gateHooks.length > 0, 'Error-aware gating detected', 'No error-aware gate found', sourcesOf(gateHooks));
+    },
+    fix: 'Add an error-tracker that prevents publishing or pushing when unresolved errors exist.',
+    hook: 'hooks/error-gate.sh',
+    recommend: ['error-memory-guard', 'verify-before-done', 'verify-before-commit'],
+    autofix: { script: 'error-gate' },
+  },
+
+  {
+    id: 'safety-hooks-runnable',
+    cat: 'Safety Guards',
+    q: 'Every hook command runs: script exists, is executable, parses, and its tools are installed',
+    w: 5,
+    test(env) {
+      if (env.hooks.length === 0) return notApplicable(env, 'hook', 'hook command', 'No hooks configured');
+      const cache = new Map();
+      const broken = env.hooks.flatMap(h => {
+        if (!cache.has(h.command)) cache.set(h.command, brokenHookReason(h.command, env));
+        const reason = cache.get(h.command);
+        traceEvidence(env, Boolean(reason), 'hook', `${hookLabel(h)}: ${reason || 'runs'}`, h.source);
+        return reason ? [{ ...h, reason }] : [];
+      });
+      const findings = broken.map(h => `${hookLabel(h)}: ${h.reason}`);
+      return broken.length === 0
+        ? { pass: true, detail: `All ${cache.size} hook command(s) runnable` }
+        : { pass: false, detail: `${broken.length} broken hook(s): ${findings.join('; ')}`, findings, sources: sourcesOf(broken) };
+    },
+    fix: 'Fix or remove broken hooks: restore missing scripts, chmod +x them, fix syntax errors, and install the tools they call (e.g. jq). A broken hook gives no protection.',
+    recommend: [],
+  },
+  {
+    id: 'safety-extension-tools',
+    cat: 'Safety Guards',
+    q: 'Subagents, slash commands and skills limit their tools (no unrestricted Bash or wildcard allowed-tools)',
+    w: 3,
+    test(env) {
+      if (env.extensions.length === 0) return notApplicable(env, 'file', 'agent, command or skill file', 'No agents, commands or skills');
+      const findings = extensionFindings(env, 'unrestricted tools', extensionToolFindings);
+      const list = findings.map(f => f.text);
+      if (findings.some(f => f.severity === 'fail')) {
+        return { status: 'fail', detail: `Unrestricted tools: ${list.join('; ')}`, findings: list };
+      }
+      // Subagents without a tools list still go through the session's permission rules
+      return findings.length === 0
+        ? { pass: true, detail: `No unrestricted tools in ${env.extensions.length} agent, command and skill file(s)` }
+        : { status: 'warn', detail: `${findings.length} subagent(s) with no tools restriction: ${list.join('; ')}`, findings: list };
+    },
+    fix: 'Give every subagent a tools list with only what it needs (e.g. "tools: Read, Grep, Glob"), and replace Bash, Bash(*) and * in tools and allowed-tools with specific commands such as Bash(git status:*).',
+    recommend: ['subagent-scope-guard'],
+  },
+  // Kill switches: the hooks can all be in place and still never run. `critical` caps the grade.
+  {
+    id: 'safety-hooks-enabled',
+    cat: 'Safety Guards',
+    q: 'Hooks are not switched off by disableAllHooks',
+    w: 5,
+    test(env) {
+      if (env.settings?.disableAllHooks !== true) {
+        traceEvidence(env, false, 'setting', 'disableAllHooks = true');
+        return { pass: true, detail: 'disableAllHooks is not set' };
+      }
+      const source = layerDefining(env, s => s?.disableAllHooks === true);
+      traceEvidence(env, true, 'setting', 'disableAllHooks = true', source);
+      return {
+        pass: false,
+        critical: true,
+        detail: `disableAllHooks is true in ${displayPath(source)}, so none of the ${env.hooks.length} configured hook(s) run`,
+        sources: [source],
+      };
+    },
+    fix: 'Remove "disableAllHooks": true from the settings file. To turn off a single hook, remove that hook instead.',
+    recommend: [],
+  },
+  {
+    id: 'safety-launch-flags',
+    cat: 'Safety Guards',
+    q: 'No shell alias, function or launcher script starts Claude with --dangerously-skip-permissions',
+    w: 5,
+    test(env) {
+      const { scanned, findings } = env.launchFlags;
+      if (findings.length === 0) {
+        traceEvidence(env, false, 'launcher', BYPASS_FLAG.source);
+        return { pass: true, detail: `No permission-skipping launch flags in ${scanned} shell startup file(s) and launcher(s)` };
+      }
+      for (const f of findings) traceEvidence(env, true, 'launcher', f.text, f.path, f.line);
+      const list = findings.map(f => `${displayPath(f.path)}:${f.line} ${f.kind} (${f.flag})`);
+      return {
+        pass: false,
+        critical: true,
+        detail: `Claude launched without permission prompts: ${list.join('; ')}`,
+        findings: list,
+        sources: [...new Set(findings.map(f => f.path))],
+      };
+    },
+    fix: 'Remove --dangerously-skip-permissions (and --permission-mode bypassPermissions) from the alias, function or script. Allow the specific commands you need in settings.json instead.',
+    recommend: [],
+  },
+
+  // === PERMISSIONS (4 checks, 5+5+3+5 = 18) ===
+  {
+    id: 'permissions-default-mode',
+    cat: 'Permissions',
+    q: 'Default permission mode does not bypass permission prompts',
+    w: 5,
+    test(env) {
+      const mode = env.settings?.permissions?.defaultMode;
+      if (mode) traceEvidence(env, true, 'setting', `permissions.defaultMode = "${mode}"`, layerDefining(env, s => s?.permissions?.defaultMode === mode));
+      else traceEvidence(env, false, 'setting', 'permissions.defaultMode');
+      if (mode === 'bypassPermissions') {
+        return { pass: false, critical: true, detail: 'permissions.defaultMode is "bypassPermissions" — every tool call runs unprompted' };
+      }
+      return { pass: true, detail: `Default mode: ${mode || 'default'}` };
+    },
+    fix: 'Remove "defaultMode": "bypassPermissions" and allow only the specific commands you need. Set "disableBypassPermissionsMode": "disable" to lock it off.',
+    recommend: [],
+  },
+  {
+    id: 'permissions-broad-allow',
+    cat: 'Permissions',
+    q: 'Allow rules are scoped (no Bash(*), bare Write, or interpreter wildcards)',
+    w: 5,
+    test(env) {
+      const broad = getPermissionRules(env.settings, 'allow')
+        .map(parsePermissionRule)
+        .filter(r => r && isBroadAllowRule(r))
+        .map(r => r.raw);
+      for (const raw of broad) traceEvidence(env, true, 'setting', `permissions.allow: ${raw}`, ruleSource(env, 'allow', raw));
+      if (broad.length === 0) traceEvidence(env, false, 'setting', 'allow rule such as Bash(*), bare Write or an interpreter wildcard');
+      return broad.length === 0
+        ? { pass: true, detail: 'No overly broad allow rules' }
+        : { pass: false, detail: `Overly broad allow rule(s): ${broad.join(', ')}`, findings: broad };
+    },
+    fix: 'Replace broad allow rules like Bash(*) or Bash(git:*) with specific prefixes such as Bash(npm run test:*) and Bash(git status).',
+    recommend: [],
+  },
+  {
+    id: 'permissions-deny-reachable',
+    cat: 'Permissions',
+    q: 'Deny rules are well-formed and reachable',
+    w: 3,
+    test(env) {
+      const denyRaw = getPermissionRules(env.settings, 'deny');
+      const unreachable = denyRaw
+        .map(raw => ({ raw, reason: unreachableReason(raw) }))
+        .filter(u => u.reason);
+      const denyRules = denyRaw.map(parsePermissionRule).filter(Boolean);
+      const shadowed = denyRules
+        .map(r => ({ raw: r.raw, by: shadowingRule(r, denyRules)?.raw }))
+        .filter(s => s.by);
+      const findings = [
+        ...unreachable.map(u => `${u.raw}: ${u.reason}`),
+        ...shadowed.map(s => `${s.raw}: shadowed by ${s.by}`),
+      ];
+      for (const [i, f] of findings.entries()) {
+        traceEvidence(env, true, 'setting', `permissions.deny: ${f}`, ruleSource(env, 'deny', [...unreachable, ...shadowed][i].raw));
+      }
+      if (findings.length === 0) traceEvidence(env, false, 'setting', `unreachable or shadowed rule among ${denyRaw.length} deny rule(s)`);
+      if (unreachable.length > 0) {
+        return { pass: false, detail: `Unreachable deny rule(s): ${findings.join('; ')}`, findings };
+      }
+      return shadowed.length > 0
+        ? { pass: true, detail: `Deny rules reachable; redundant: ${findings.join('; ')}`, findings }
+        : { pass: true, detail: `${denyRaw.length} deny rule(s), all reachable` };
+    },
+    fix: 'Fix deny rules Claude Code cannot match: tool names are case-sensitive and Bash wildcards only work as a trailing ":*", e.g. Bash(git push --force:*).',
+    recommend: [],
+  },
+  {
+    id: 'permissions-dangerous-covered',
+    cat: 'Permissions',
+    q: 'Dangerous commands are covered by a deny rule or a guarding hook',
+    w: 5,
+    test(env) {
+      const denyRules = getPermissionRules(env.settings, 'deny').map(parsePermissionRule).filter(Boolean);
+      const guards = env.hooks.filter(h => h.event === 'PreToolUse' && isGuardCommand(h.command));
+      const uncovered = DANGEROUS_CALLS.filter(call => {
+        const rule = denyRules.find(r => ruleMatches(r, call.tool, call.input));
+        const guard = guards.find(h => matcherApplies(h.matcher, call.tool));
+        if (rule) traceEvidence(env, true, 'setting', `${call.label}: denied by ${rule.raw}`, ruleSource(env, 'deny', rule.raw));
+        else if (guard) traceEvidence(env, true, 'hook', `${call.label}: guarded by ${hookLabel(guard)}`, guard.source);
+        else traceEvidence(env, false, 'setting', `${call.label}: deny rule or guarding hook`);
+        return !rule && !guard;
+      }).map(call => call.label);
+      return uncovered.length === 0
+        ? { pass: true, detail: 'All dangerous commands denied or guarded' }
+        : { pass: false, detail: `No deny rule or guarding hook for: ${uncovered.join(', ')}`, findings: uncovered };
+    },
+    fix: 'Add deny rules such as Bash(rm -rf:*), Bash(git push --force:*), Bash(git reset --hard:*), Bash(sudo:*) and Read(./.env), or a PreToolUse guard hook for those tools.',
+    hook: 'hooks/branch-guard.sh',
+    recommend: ['rm-safety-net', 'no-sudo-guard', 'credential-exfil-guard'],
+  },
+
+  // === QUALITY (4 checks, 5pts each = 20) ===
+  {
+    id: 'quality-syntax-check',
+    cat: 'Code Quality',
+    q: 'Syntax checks run after every file edit (PostToolUse hook)',
+    w: 5,
+    test(env) {
+      const syntaxHooks = env.hooks.filter(h => h.event.toLowerCase().includes('posttooluse') && isSyntaxCommand(h.command));
+      for (const h of syntaxHooks) traceEvidence(env, true, 'hook', hookLabel(h), h.source);
+      if (syntaxHooks.length === 0) {
+        traceEvidence(env, false, 'hook', 'PostToolUse hook running a syntax checker');
+        return { pass: false, detail: 'No syntax check hook found in PostToolUse' };
+      }
+      const uncovered = uncoveredCritical(env.coverage, 'syntax');
+      for (const tool of uncovered) traceEvidence(env, false, 'hook', `syntax check hook whose matcher runs for ${tool}`);
+      if (uncovered.length === 0 && env.cwd !== env.home) {
+        // Partial credit when the hook checks some of the project's languages but not all
+        const text = syntaxHooks.map(h => hookText(h, env)).join('\n');
+        const checked = Object.keys(SYNTAX_LANGUAGES).filter(name => SYNTAX_LANGUAGES[name].markers.some(m => text.includes(m)));
+        const needed = projectLanguages(env.host, env.cwd);
+        const missing = needed.filter(name => !checked.includes(name));
+        if (checked.length > 0 && missing.length > 0) {
+          for (const name of missing) traceEvidence(env, false, 'hook', `syntax check for ${name} files`);
+          const detail = `Syntax hook checks ${checked.join(', ')} but not ${missing.join(', ')} files in this project`;
+          const credit = (needed.length - missing.length) / needed.length;
+          return credit > 0
+            ? { status: 'warn', credit, detail, sources: sourcesOf(syntaxHooks), findings: missing }
+            : { status: 'fail', detail, sources: sourcesOf(syntaxHooks), findings: missing };
+        }
+      }
+      return uncovered.length === 0
+        ? { pass: true, detail: 'Post-edit syntax checking configured', sources: sourcesOf(syntaxHooks) }
+        : { pass: false, detail: `Syntax check hook(s) do not run for ${uncovered.join(', ')} (matcher: ${[...new Set(syntaxHooks.map(h => h.matcher || '*'))].join(', ')})`, findings: uncovered };
+    },
+    fix: 'Add a PostToolUse hook with matcher "Edit|Write|MultiEdit" that runs language-specific syntax checks (py_compile, eslint, bash -n).',
+    hook: 'hooks/syntax-check.sh',
+    recommend: ['edit-verify'],
+    autofix: { script: 'syntax-check' },
+  },
+  {
+    id: 'quality-error-detection',
+    cat: 'Code Quality',
+    q: 'Error detection and tracking from command output',
+    w: 5,
+    test(env) {
+      const errHooks = hooksMatching(env, ['error', 'stderr', 'exit_code', 'err-code']);
+      return errHooks.length > 0
+        ? { pass: true, detail: 'Error detection patterns found in hooks', sources: sourcesOf(errHooks) }
+        : { pass: false, detail: 'No error detection in command output' };
+    },
+    runtime(ev, result) {
+      return ev.toolFailures > 0
+        ? runtimeNote(result, 'Error detection configured', `${ev.toolFailures} tool call(s) failed across ${ev.sessions} session(s)`)
+        : null;
+    },
+    fix: 'Scan bash output for error patterns in PostToolUse hooks. Track repeated errors and escalate.',
+    hook: 'hooks/activity-logger.sh',
+    recommend: ['loop-detector', 'file-change-tracker'],
+    autofix: { script: 'error-tracker' },
+  },
+  {
+    id: 'quality-dod',
+    cat: 'Code Quality',
+    q: 'Definition of Done (DoD) checklist exists for task completion',
+    w: 5,
+    test(env) {
+      const rule = findRule(env, {
+        terms: [/\bdefinition of done\b/, /\bdod\b/, /\bdone checklist\b/, /\bcompletion criteria\b/],
+        sections: [/done|complet|checklist/],
+      });
+      const dodFile = anyFile(env, [env.host.join(env.ccDir, 'dod-checklists.md'), env.host.join(env.cwd, 'dod-checklists.md')]);
+      return ruleResult(rule, dodFile, 'DoD criteria found', 'No Definition of Done checklist detected');
+    },
+    fix: 'Define what "done" means: tests pass, no open errors, syntax clean, docs updated.',
+    hook: 'templates/dod-checklists.md',
+    recommend: ['verify-before-done', 'test-before-commit'],
+    autofix: { claudeMd: 'dod' },
+  },
+  {
+    id: 'quality-output-verification',
+    cat: 'Code Quality',
+    q: 'AI verifies its own output (screenshots, GET requests after publishing)',
+    w: 5,
+    test(env) {
+      const rule = findRule(env, {
+        terms: [/\bverif(?:y|ies|ied|ication)\b/, /\bscreenshots?\b/, /\bconfirm(?:ation)?\b/, /\bproof\b/],
+        sections: [/verif|done|check|publish|deploy/],
+      });
+      return ruleResult(rule, false, 'Output verification instructions found', 'No output verification pattern detected');
+    },
+    fix: 'Add verification steps to your workflow: after publishing or deploying, confirm the result matches expectations.',
+    hook: 'templates/CLAUDE-autonomous.md',
+    recommend: ['verify-before-done', 'verify-before-commit'],
+  },
+
+  // === MONITORING (3 checks, 5pts each = 15) ===
+  {
+    id: 'monitoring-context',
+    cat: 'Monitoring',
+    q: 'Context window usage monitored with alerts before it fills up',
+    w: 5,
+    test(env) {
+      const contextHooks = hooksMatching(env, ['context', 'compact', 'token']);
+      return contextHooks.length > 0
+        ? { pass: true, detail: 'Context window monitoring detected', sources: sourcesOf(contextHooks) }
+        : { pass: false, detail: 'No context window monitoring' };
+    },
+    runtime(ev, result) {
+      return ev.forcedCompactions > 0 ? runtimeNote(result, 'Context monitor present', `${ev.forcedCompactions} forced compaction(s)`) : null;
+    },
+    fix: 'Add a PostToolUse hook that checks context percentage and alerts before it fills up. Auto-compact at critical levels.',
+    hook: 'hooks/context-monitor.sh',
+    recommend: ['compact-reminder', 'auto-compact-prep', 'session-token-counter'],
+  },
+  {
+    id: 'monitoring-activity-log',
+    cat: 'Monitoring',
+    q: 'Activity logging tracks what commands ran, when, and what changed',
+    w: 5,
+    test(env) {
+      const logHooks = hooksMatching(env, ['activity', 'log', 'jsonl', 'audit']);
+      return logHooks.length > 0
+        ? { pass: true, detail: 'Activity logging detected', sources: sourcesOf(logHooks) }
+        : { pass: false, detail: 'No activity logging configured' };
+    },
+    fix: 'Add a PostToolUse hook that logs every tool use to a JSONL file with timestamps.',
+    hook: 'hooks/activity-logger.sh',
+    recommend: ['permission-audit-log'],
+    autofix: { script: 'activity-logger' },
+  },
+  {
+    id: 'monitoring-daily-summary',
+    cat: 'Monitoring',
+    q: 'Daily summaries of AI work are generated (proof-log, session reports)',
+    w: 5,
+    test(env) {
+      const summaryHooks = hooksMatching(env, ['proof', 'summary', 'session', 'digest']);
+      const proofLogDir = anyFile(env, [env.host.join(env.home, 'ops', 'proof-log')]);
+      return (summaryHooks.length > 0 || proofLogDir)
+        ? { pass: true, detail: 'Daily summarization configured', sources: sourcesOf(summaryHooks) }
+        : { pass: false, detail: 'No daily summary generation' };
+    },
+    fix: 'Write a Stop hook that generates a 5W1H summary at session end. Makes handoffs and audits trivial.',
+    hook: 'hooks/proof-log-session.sh',
+    recommend: ['session-summary', 'session-summary-stop', 'session-handoff'],
+  },
+
+  // === RECOVERY (3 checks, 5pts each = 15) ===
+  {
+    id: 'recovery-backup-branch',
+    cat: 'Recovery',
+    q: 'Git backup branches created before major changes',
+    w: 5,
+    test(env) {
+      if (!env.gitRepo) return notApplicable(env, 'file', '.git in the project or a parent directory', 'Not a git repository');
+      const rule = findRule(env, { terms: [/\bbackup\b/, /\bback up\b/], sections: [/backup|git|recover|safety/] });
+      return ruleResult(rule, false, 'Backup branch instructions found in CLAUDE.md', 'No backup branch strategy detected');
+    },
+    fix: 'Add "git checkout -b backup/before-changes" to your CLAUDE.md instructions before risky operations.',
+    hook: 'templates/CLAUDE-autonomous.md',
+    recommend: ['auto-git-checkpoint', 'backup-before-refactor', 'auto-checkpoint'],
+    autofix: { claudeMd: 'backup' },
+  },
+  {
+    id: 'recovery-watchdog',
+    cat: 'Recovery',
+    q: 'Watchdog detects and recovers from hangs/idle states',
+    w: 5,
+    test(env) {
+      const watchdogHooks = hooksMatching(env, ['watchdog', 'idle', 'nudge', 'heartbeat']);
+      // Check for common watchdog scripts
+      const watchdogExists = anyFile(env, [env.host.join(env.home, 'bin', 'cc-solo-watchdog'), env.host.join(env.home, '.claude', 'cc-solo-watchdog')]);
+      return (watchdogHooks.length > 0 || watchdogExists)
+        ? { pass: true, detail: 'Watchdog mechanism detected', sources: sourcesOf(watchdogHooks) }
+        : { pass: false, detail: 'No watchdog for hang/idle detection' };
+    },
+    runtime(ev, result) {
+      return ev.idleGaps > 0 ? runtimeNote(result, 'Watchdog configured', `${ev.idleGaps} idle gap(s) longer than ${IDLE_GAP_MINUTES} min`) : null;
+    },
+    fix: 'Implement a tmux-based watchdog that detects idle/frozen states and automatically nudges or restarts the agent.',
+    hook: 'hooks/session-start-marker.sh',
+    recommend: ['notify-waiting', 'max-session-duration'],
+  },
+  {
+    id: 'recovery-loop-fallback',
+    cat: 'Recovery',
+    q: 'Fallback plan exists for when AI gets stuck in a loop',
+    w: 5,
+    test(env) {
+      const rule = findRule(env, {
+        terms: [/\bloops?\b/, /\bretr(?:y|ies|ying)\b/, /\b3 times\b/, /\bescalat/],
+        sections: [/loop|retr|stuck|escalat|error/],
+      });
+      const loopHooks = hooksMatching(env, ['root-cause', 'loop']);
+      return ruleResult(rule, loopHooks.length > 0, 'Loop detection / retry limits found', 'No loop detection or retry limits', sourcesOf(loopHooks));
+    },
+    runtime(ev, result) {
+      return ev.loopSessions > 0
+        ? runtimeNote(result, 'Loop detection configured', `${ev.loopSessions} session(s) repeated the same failing command ${LOOP_REPEATS}+ times`)
+        : null;
+    },
+    fix: 'Track repeated command patterns. If the same error appears 3+ times, break the loop and escalate.',
+    hook: 'templates/LESSONS.md',
+    recommend: ['loop-detector'],
+    autofix: { claudeMd: 'loop' },
+  },
+
+  // === AUTONOMY (3 checks, 5pts each = 15) ===
+  {
+    id: 'autonomy-task-queue',
+    cat: 'Autonomy',
+    q: 'AI can run tasks from a queue without human prompting',
+    w: 5,
+    test(env) {
+      const hasQueue = anyFile(env, [
+        env.host.join(env.home, 'ops', 'task-queue.yaml'),
+        env.host.join(env.cwd, 'task-queue.yaml'),
+        env.host.join(env.cwd, 'tasks', 'todo.md'),
+      ]);
+      const rule = findRule(env, { terms: [/\btask[ -]queue\b/], sections: [/task|queue/] });
+      return ruleResult(rule, hasQueue, 'Task queue mechanism found', 'No task queue for autonomous execution');
+    },
+    fix: 'Create a task-queue.yaml with status tracking (pending/in-progress/done) that the AI reads and executes.',
+    hook: 'templates/task-queue.yaml',
+    recommend: [],
+  },
+  {
+    id: 'autonomy-no-questions',
+    cat: 'Autonomy',
+    q: 'Setup blocks the AI from asking unnecessary questions',
+    w: 5,
+    test(env) {
+      const noAskHooks = hooksMatching(env, ['no-ask', 'question']);
+      const rule = findRule(env, {
+        terms: [/\b(?:don't|do not|never) ask\b/, /\bwithout asking\b/, /質問/, /自分で判断/],
+        sections: [/question|autonom|ask/],
+      });
+      return ruleResult(rule, noAskHooks.length > 0, 'Question-blocking rules detected', 'No rules to prevent unnecessary questions', sourcesOf(noAskHooks));
+    },
+    fix: 'Add a hook or CLAUDE.md rule that redirects question-asking patterns to autonomous decision-making.',
+    hook: 'hooks/no-ask-human.sh',
+    recommend: [],
+  },
+  {
+    id: 'autonomy-persistent-state',
+    cat: 'Autonomy',
+    q: 'AI can continue working across session restarts (persistent state)',
+    w: 5,
+    test(env) {
+      const rule = findRule(env, {
+        terms: [/\bmemory\b/, /\bmission\.md\b/, /\bpersistent\b/],
+        sections: [/memory|state|session|context/],
+      });
+      const stateFile = anyFile(env, [
+        env.host.join(env.ccDir, 'memory'),
+        env.host.join(env.ccDir, 'projects'),
+        env.host.join(env.home, 'ops', 'mission.md'),
+        env.host.join(env.cwd, 'mission.md'),
+        env.host.join(env.cwd, 'tasks', 'todo.md'),
+      ]);
+      return ruleResult(rule, stateFile, 'State persistence mechanism found', 'No persistent state mechanism');
+    },
+    fix: 'Use mission.md or MEMORY.md to maintain state across context compactions and session restarts.',
+    hook: 'templates/mission.md',
+    recommend: ['session-state-saver', 'post-compact-restore', 'session-checkpoint'],
+  },
+
+  // === COORDINATION (4 checks, 5+3+2+2 = 12) ===
+  {
+    id: 'coordination-decision-log',
+    cat: 'Coordination',
+    q: 'Decision audit trail logs why each decision was made',
+    w: 5,
+    test(env) {
+      const decisionHooks = hooksMatching(env, ['decision', 'rationale']);
+      const hasDecLog = anyFile(env, [env.host.join(env.home, 'ops', 'decision-log.jsonl')]) || decisionHooks.length > 0;
+      return hasDecLog
+        ? { pass: true, detail: 'Decision logging found', sources: sourcesOf(decisionHooks) }
+        : { pass: false, detail: 'No decision audit trail' };
+    },
+    fix: 'Track decisions with rationale — what was decided, why, and what alternatives were rejected.',
+    hook: 'hooks/decision-warn.sh',
+    recommend: ['permission-audit-log'],
+  },
+  {
+    id: 'coordination-multi-agent',
+    cat: 'Coordination',
+    q: 'AI can coordinate with other AI instances or tools',
+    w: 3,
+    test(env) {
+      const relayHooks = hooksMatching(env, ['relay', 'tachikoma']);
+      const agents = env.extensions.filter(ext => ext.kind === 'agent' && ext.data);
+      for (const a of agents) traceEvidence(env, true, 'agent', `${a.name} (${a.scope})`, a.path);
+      const rule = findRule(env, {
+        terms: [/\bmulti-agent\b/, /\bcodex\b/, /\bteam\b/, /\bsubagents?\b/],
+        sections: [/agent|team|coordinat/],
+      });
+      return ruleResult(rule, relayHooks.length > 0 || agents.length > 0, 'Multi-agent coordination found', 'No multi-agent coordination', sourcesOf(relayHooks));
+    },
+    fix: 'Enable file-based or tmux-based messaging between AI instances for parallel work.',
+    hook: 'templates/CLAUDE-autonomous.md',
+    recommend: ['subagent-scope-guard', 'subagent-budget-guard'],
+  },
+  {
+    id: 'coordination-lessons',
+    cat: 'Coordination',
+    q: 'Structured way to capture and reuse lessons learned',
+    w: 2,
+    test(env) {
+      const rule = findRule(env, { terms: [/\blessons?\b/, /教訓/], sections: [/lesson|learn|retro/] });
+      const lessonsFile = anyFile(env, [env.host.join(env.cwd, 'tasks', 'lessons.md'), env.host.join(env.cwd, 'LESSONS.md')]);
+      return ruleResult(rule, lessonsFile, 'Lesson capture mechanism found', 'No structured lesson capture');
+    },
+    fix: 'Maintain a LESSONS.md file to log errors and their fixes for future reference.',
+    hook: 'templates/LESSONS.md',
+    recommend: [],
+  },
+  {
+    id: 'coordination-extension-definitions',
+    cat: 'Coordination',
+    q: 'Subagent, command and skill files parse and do not share a name across user and project scope',
+    w: 2,
+    test(env) {
+      if (env.extensions.length === 0) return notApplicable(env, 'file', 'agent, command or skill file', 'No agents, commands or skills');
+      const findings = extensionFindings(env, 'invalid frontmatter or a name collision', extensionDefinitionFindings).map(f => f.text);
+      return findings.length === 0
+        ? { pass: true, detail: `All ${env.extensions.length} agent, command and skill file(s) parse, with unique names` }
+        : { pass: false, detail: `Invalid or conflicting definition(s): ${findings.join('; ')}`, findings };
+    },
+    fix: 'Fix the frontmatter of the listed files (quote values that contain ": "), give each subagent and skill a name and description, and rename user and project definitions that share a name.',
+    recommend: [],
+  },
+
+  // === MCP SERVERS (4 checks, 5+5+3+3 = 16) ===
+  {
+    id: 'mcp-pinned-versions',
+    cat: 'MCP Servers',
+    q: 'npx/uvx MCP servers are pinned to an exact version',
+    w: 5,
+    test(env) {
+      if (env.mcpServers.length === 0) return notApplicable(env, 'mcp', 'MCP server', 'No MCP servers configured');
+      const findings = mcpFindings(env, 'unpinned npx/uvx package', sv => {
+        const spec = runnerPackage(sv.config);
+        if (!spec) return null;
+        if (spec.endsWith('@latest')) return `${spec} tracks @latest`;
+        return isPinnedPackage(spec) ? null : `${spec} is not pinned`;
+      });
+      return findings.length === 0
+        ? { pass: true, detail: 'All package-runner MCP servers pinned' }
+        : { pass: false, detail: `Unpinned MCP server(s): ${findings.join('; ')}`, findings };
+    },
+    fix: 'Pin MCP server packages to an exact version (e.g. "@modelcontextprotocol/server-github@2025.4.8") so a compromised or broken release is not pulled in automatically.',
+    recommend: [],
+  },
+  {
+    id: 'mcp-inline-credentials',
+    cat: 'MCP Servers',
+    q: 'MCP server credentials are not written inline in env, args or headers',
+    w: 5,
+    test(env) {
+      if (env.mcpServers.length === 0) return notApplicable(env, 'mcp', 'MCP server', 'No MCP servers configured');
+      const findings = mcpFindings(env, 'inline credential', sv => {
+        const found = inlineCredentials(sv.config);
+        return found.length > 0 ? `inline credential in ${found.join(', ')}` : null;
+      });
+      return findings.length === 0
+        ? { pass: true, detail: 'No inline MCP credentials' }
+        : { pass: false, detail: `Inline credential(s): ${findings.join('; ')}`, findings };
+    },
+    fix: 'Reference credentials with ${VAR} expansion in .mcp.json (e.g. "GITHUB_TOKEN": "${GITHUB_TOKEN}") and keep the values in your shell environment or a secrets manager.',
+    recommend: ['credential-exfil-guard'],
+  },
+  {
+    id: 'mcp-global-scope',
+    cat: 'MCP Servers',
+    q: 'Project-specific MCP servers are not enabled globally',
+    w: 3,
+    test(env) {
+      if (env.mcpServers.length === 0) return notApplicable(env, 'mcp', 'MCP server', 'No MCP servers configured');
+      const findings = mcpFindings(env, 'user-scope server used by one project', sv => {
+        if (sv.scope !== 'user') return null;
+        const project = singleProjectUser(sv, env.claudeJson, env.home);
+        return project ? `only used by ${displayPath(project)}` : null;
+      });
+      return findings.length === 0
+        ? { pass: true, detail: 'No project-specific servers in user scope' }
+        : { pass: false, detail: `Globally enabled but project-specific: ${findings.join('; ')}`, findings };
+    },
+    fix: 'Move servers that one project needs into that project\'s .mcp.json (claude mcp add --scope project) so their tools are not exposed in every session.',
+    recommend: [],
+  },
+  {
+    id: 'mcp-remote-auth',
+    cat: 'MCP Servers',
+    q: 'Remote HTTP/SSE MCP servers send an auth header',
+    w: 3,
+    test(env) {
+      if (env.mcpServers.length === 0) return notApplicable(env, 'mcp', 'MCP server', 'No MCP servers configured');
+      const findings = mcpFindings(env, 'remote server without an auth header', sv => {
+        if (!isRemoteServer(sv.config) || isLocalUrl(sv.config.url)) return null;
+        const headers = Object.keys(isPlainObject(sv.config.headers) ? sv.config.headers : {});
+        return headers.some(h => AUTH_HEADER.test(h)) ? null : `${sv.config.url || 'remote server'} has no auth header`;
+      });
+      return findings.length === 0
+        ? { pass: true, detail: 'All remote MCP servers authenticate' }
+        : { pass: false, detail: `Unauthenticated remote server(s): ${findings.join('; ')}`, findings };
+    },
+    fix: 'Add an Authorization header (e.g. "headers": { "Authorization": "Bearer ${API_TOKEN}" }) to remote MCP servers, or confirm they use OAuth via /mcp.',
+    recommend: [],
+  },
+  // === MEMORY HYGIENE (4 checks, 3+2+3+2 = 10) ===
+  {
+    id: 'memory-imports-resolve',
+    cat: 'Memory Hygiene',
+    q: 'CLAUDE.md @imports resolve to existing files within the import depth limit',
+    w: 3,
+    test(env) {
+      const { files, missing, tooDeep } = env.memory;
+      if (files.length === 0) return notApplicable(env, 'file', 'CLAUDE.md file', 'No CLAUDE.md files');
+      const findings = [
+        ...missing.map(m => `${displayPath(m.file)}:${m.line} imports @${m.target}, which does not exist`),
+        ...tooDeep.map(m => `${displayPath(m.file)}:${m.line} imports @${m.target} more than ${MAX_IMPORT_DEPTH} hops deep, so it is never loaded`),
+      ];
+      for (const m of [...missing, ...tooDeep]) {
+        traceEvidence(env, true, 'claudeMd', `@${m.target}${missing.includes(m) ? ' (missing)' : ' (too deep)'}`, m.file, m.line);
+      }
+      const imports = files.filter(f => f.kind === 'import').length;
+      if (findings.length === 0) traceEvidence(env, false, 'claudeMd', `missing @import among ${imports} import(s)`);
+      return findings.length === 0
+        ? { pass: true, detail: `${imports} import(s) across ${files.length} memory file(s), all resolved` }
+        : { pass: false, detail: `Broken import(s): ${findings.join('; ')}`, findings };
+    },
+    fix: 'Point @imports at files that exist (paths are relative to the importing file, or start with ~/), and flatten chains deeper than 5 hops.',
+    recommend: [],
+  },
+  {
+    id: 'memory-import-cycles',
+    cat: 'Memory Hygiene',
+    q: 'CLAUDE.md imports have no cycles',
+    w: 2,
+    test(env) {
+      if (env.memory.files.length === 0) return notApplicable(env, 'file', 'CLAUDE.md file', 'No CLAUDE.md files');
+      const findings = env.memory.cycles.map(cycle => cycle.map(displayPath).join(' → '));
+      for (const f of findings) traceEvidence(env, true, 'claudeMd', f);
+      if (findings.length === 0) traceEvidence(env, false, 'claudeMd', 'import cycle');
+      return findings.length === 0
+        ? { pass: true, detail: 'No import cycles' }
+        : { pass: false, detail: `Import cycle(s): ${findings.join('; ')}`, findings };
+    },
+    fix: 'Break import cycles: move shared rules into one file that the others import, instead of importing each other.',
+    recommend: [],
+  },
+  {
+    id: 'memory-token-budget',
+    cat: 'Memory Hygiene',
+    q: 'Always-loaded memory (CLAUDE.md files and imports) fits the token budget',
+    w: 3,
+    test(env) {
+      const { files, tokens, tokenBudget } = env.memory;
+      const loaded = files.filter(f => f.kind !== 'nested');
+      const detail = `~${tokens} tokens in ${loaded.length} file(s), budget ${tokenBudget}`;
+      if (loaded.length === 0) return notApplicable(env, 'file', 'CLAUDE.md file', 'No CLAUDE.md files');
+      for (const f of loaded) traceEvidence(env, true, 'file', `~${f.tokens} tokens (${f.kind})`, f.path);
+      if (tokens <= tokenBudget) return { pass: true, detail };
+      const largest = [...loaded].sort((a, b) => b.tokens - a.tokens).slice(0, 3)
+        .map(f => `${displayPath(f.path)} ~${f.tokens}`);
+      return { pass: false, detail: `${detail}; largest: ${largest.join(', ')}`, findings: largest };
+    },
+    fix: 'Trim CLAUDE.md: move rarely needed detail into nested per-directory CLAUDE.md files or docs Claude can read on demand, and drop duplicated rules. Raise memory.tokenBudget in .cc-health-check.json if the size is intended.',
+    recommend: [],
+  },
+  {
+    id: 'memory-stale-references',
+    cat: 'Memory Hygiene',
+    q: 'Paths and commands mentioned in CLAUDE.md still exist',
+    w: 2,
+    test(env) {
+      if (env.memory.files.length === 0) return notApplicable(env, 'file', 'CLAUDE.md file', 'No CLAUDE.md files');
+      const findings = env.memory.stale.map(s => `${displayPath(s.file)}:${s.line} \`${s.ref}\`: ${s.reason}`);
+      for (const s of env.memory.stale) traceEvidence(env, true, 'claudeMd', `${s.ref}: ${s.reason}`, s.file, s.line);
+      if (findings.length === 0) traceEvidence(env, false, 'claudeMd', 'path or npm/make command that no longer exists');
+      return findings.length === 0
+        ? { pass: true, detail: 'No stale path or command references' }
+        : { pass: false, detail: `Stale reference(s): ${findings.join('; ')}`, findings };
+    },
+    fix: 'Update CLAUDE.md where it names files, scripts or npm/make commands that were moved or removed. Stale instructions send Claude after things that are not there.',
+    recommend: [],
+  },
+];
+
+// ─── Run all checks ───
+// The check's own trace, plus secret lines and, for checks that record nothing (custom
+// checks), the files they name as sources
+function checkEvidence(trace, result) {
+  const evidence = [
+    ...trace,
+    ...(result.secrets || []).map(f => ({ matched: true, kind: 'secret', text: `${f.name} ${f.redacted}`, file: f.file, line: f.line })),
+  ];
+  if (evidence.length === 0) {
+    evidence.push(...(result.sources || []).map(file => ({ matched: result.pass, kind: 'file', text: displayPath(file), file })));
+  }
+  return evidence;
+}
+
+// Share of a check's weight each status earns; a warn may set its own `credit` (0-1).
+// info means the check does not apply and is left out of the total.
+const STATUS_CREDIT = { pass: 1, warn: 0.5, fail: 0 };
+
+// Checks return { status, detail } or, like custom checks, { pass, detail }
+function checkStatus(result) {
+  if (['pass', 'warn', 'fail', 'info'].includes(result.status)) return result.status;
+  return result.pass ? 'pass' : 'fail';
+}
+
+function creditFor(status, result) {
+  if (status === 'warn' && Number.isFinite(result.credit)) return Math.min(Math.max(result.credit, 0), 1);
+  return STATUS_CREDIT[status];
+}
+
+function runChecks(env) {
+  let totalPts = 0;
+  let earned = 0;
+  const results = [];
+  const dimScores = {};
+  const dimTotals = {};
+
+  for (const ch of env.checks) {
+    if (!(ch.cat in dimTotals)) {
+      dimScores[ch.cat] = 0;
+      dimTotals[ch.cat] = 0;
+    }
+    const trace = [];
+    const raw = ch.test({ ...env, trace });
+    const status = checkStatus(raw);
+    let result = { ...raw, status, pass: status !== 'fail' };
+    const note = env.evidence && ch.runtime ? ch.runtime(env.evidence, result) : null;
+    if (note) result = { ...result, runtime: [note] };
+    // A failing check marked as accepted risk is reported but left out of the score
+    const acceptedRisk = status === 'fail' && typeof env.acceptedRisks[ch.id] === 'string' ? env.acceptedRisks[ch.id] : undefined;
+    const pts = status === 'info' ? 0 : Math.round(ch.w * creditFor(status, result) * 10) / 10;
+    if (!acceptedRisk && status !== 'info') {
+      totalPts += ch.w;
+      dimTotals[ch.cat] += ch.w;
+    }
+    earned += pts;
+    dimScores[ch.cat] += pts;
+    const evidence = checkEvidence(trace, result);
+    results.push({ id: ch.id, cat: ch.cat, q: ch.q, w: ch.w, fix: ch.fix, hook: ch.hook, recommend: ch.recommend, autofix: ch.autofix, acceptedRisk, status, result, evidence, pts });
+  }
+  earned = Math.round(earned * 10) / 10;
+
+  // A critical failure (a kill switch that turns safety off) caps the grade at Critical,
+  // and the score below the Needs Work threshold, whatever the other checks earned
+  const critical = results.filter(r => r.status === 'fail' && r.result.critical && !r.acceptedRisk).map(r => r.id);
+  const score = percentOf(earned, totalPts);
+  const pct = critical.length > 0 ? Math.min(score, Math.max(env.grades.needsWork - 1, 0)) : score;
+  const grade = critical.length > 0 ? 'Critical' : gradeFor(pct, env.grades);
+  const capped = pct < score ? { score, by: critical } : undefined;
+
+  return { env, results, dimScores, dimTotals, earned, totalPts, pct, grade, capped };
+}
+
+function jsonReport(data) {
+  const { env, results, dimScores, dimTotals, earned, totalPts, pct, grade } = data;
+  const output = {
+    version: '1.0',
+    score: pct,
+    grade,
+    points: { earned, total: totalPts },
+    counts: Object.fromEntries(['pass', 'warn', 'fail', 'info'].map(st => [st, results.filter(r => r.status === st).length])),
+    settings: env.settingsLayers.map(l => ({ scope: l.scope, path: l.path })),
+    hooks: env.hooks.map(h => ({ event: h.event, command: h.command, scope: h.scope, source: h.source })),
+    config: env.configPaths,
+    coverage: coverageMatrix(env.coverage),
+    memory: {
+      files: env.memory.files.map(f => ({ path: f.path, kind: f.kind, tokens: f.tokens })),
+      tokens: env.memory.tokens,
+      tokenBudget: env.memory.tokenBudget,
+    },
+    runtime: env.evidence || undefined,
+    warnings: env.warnings.length > 0 ? env.warnings : undefined,
+    thresholds: { ...env.grades, failUnder: env.failUnder },
+    capped: data.capped,
+    baseline: data.baseline,
+    compare: data.compare,
+    policy: data.policy,
+    dimensions: {},
+    checks: [],
+  };
+  for (const [cat, total] of Object.entries(dimTotals)) {
+    output.dimensions[cat] = {
+      score: Math.round(dimScores[cat] * 10) / 10,
+      total,
+      percent: total > 0 ? percentOf(dimScores[cat], total) : null,
+    };
+  }
+  for (const r of results) {
+    output.checks.push({
+      id: r.id,
+      dimension: r.cat,
+      check: r.q,
+      status: r.status,
+      pass: r.result.pass,
+      points: r.status === 'info' || r.acceptedRisk ? undefined : r.pts,
+      confidence: r.result.confidence,
+      detail: r.result.detail,
+      sources: r.result.sources?.length > 0 ? r.result.sources : undefined,
+      findings: r.result.findings,
+      secrets: r.result.secrets,
+      probe: r.result.probe,
+      runtime: r.result.runtime,
+      evidence: r.evidence,
+      acceptedRisk: r.acceptedRisk,
+      critical: r.result.critical,
+      weight: r.w,
+      fix: r.status === 'fail' || r.status === 'warn' ? r.fix : undefined,
+      hook: r.status === 'fail' || r.status === 'warn' ? r.hook : undefined,
+      recommend: r.status === 'fail' || r.status === 'warn' ? r.recommend?.filter(h => h) || [] : undefined,
+    });
+  }
+  return output;
+}
+
+// true / false per tool and hook purpose; null where the purpose does not apply
+function coverageMatrix(coverage) {
+  return Object.fromEntries(Object.entries(coverage).map(([tool, row]) =>
+    [tool, Object.fromEntries(Object.entries(row).map(([purpose, cell]) => [purpose, cell ? cell.covered : null]))]));
+}
+
+// ─── Policy compliance ───
+// A team policy is checked apart from the score: each requirement holds or is a violation
+// with its remediation. See "Team policy" in the README for the file format.
+const POLICY_KEYS = ['hooks', 'permissions', 'mcpServers', 'claudeMd', 'dimensions'];
+const PERMISSION_KINDS = ['allow', 'ask', 'deny'];
+
+// Without a matcher, or with "*", the hook has to run for every tool
+function policyHookMet(env, req) {
+  const tools = req.matcher && req.matcher !== '*' ? req.matcher.split('|') : null;
+  return env.hooks.some(h => h.event.toLowerCase() === req.event.toLowerCase()
+    && (!req.command || h.command.includes(req.command))
+    && (tools ? tools.every(tool => matcherApplies(h.matcher, tool)) : !h.matcher || h.matcher === '*'));
+}
+
+function memoryHeadings(env) {
+  return env.memory.files.filter(f => f.kind !== 'nested').flatMap(f => markdownLines(f.text)
+    .map(l => l.raw.match(/^#{1,6}\s+(.+?)[\s#]*$/)?.[1]?.toLowerCase())
+    .filter(Boolean));
+}
+
+function checkPolicy(policy, data) {
+  const { env, results, dimScores, dimTotals } = data;
+  const settingsFile = displayPath(env.host.join(env.ccDir, 'settings.json'));
+  const warnings = [];
+  const violations = [];
+  let requirements = 0;
+  const require = (met, violation) => {
+    requirements++;
+    if (!met) violations.push(violation());
+  };
+  const list = v => (Array.isArray(v) ? v : []);
+  for (const key of Object.keys(policy).filter(k => !POLICY_KEYS.includes(k))) {
+    warnings.push(`Ignoring unknown policy key "${key}". Use one of: ${POLICY_KEYS.join(', ')}`);
+  }
+
+  for (const req of list(policy.hooks)) {
+    if (!isPlainObject(req) || typeof req.event !== 'string') {
+      warnings.push(`Ignoring policy hook ${JSON.stringify(req)}: expected { "event", "matcher", "command" }`);
+      continue;
+    }
+    const where = `${req.event}${req.matcher ? ` (${req.matcher})` : ''}`;
+    const entry = { ...(req.matcher ? { matcher: req.matcher } : {}), hooks: [{ type: 'command', command: req.command || '<command>' }] };
+    require(policyHookMet(env, req), () => ({
+      type: 'hook',
+      message: req.command ? `No ${where} hook runs ${req.command}` : `No ${where} hook`,
+      remediation: `Add to "hooks" in ${settingsFile}: "${req.event}": [${JSON.stringify(entry)}]`,
+    }));
+  }
+
+  const permissions = isPlainObject(policy.permissions) ? policy.permissions : {};
+  for (const [mode, wanted] of [['required', true], ['forbidden', false]]) {
+    const rules = isPlainObject(permissions[mode]) ? permissions[mode] : {};
+    for (const kind of PERMISSION_KINDS) {
+      for (const rule of list(rules[kind])) {
+        require(getPermissionRules(env.settings, kind).includes(rule) === wanted, () => (wanted
+          ? { type: 'permission', message: `Required ${kind} rule ${rule} is missing`, remediation: `Add "${rule}" to permissions.${kind} in ${settingsFile}` }
+          : { type: 'permission', message: `Forbidden ${kind} rule ${rule} is set`, remediation: `Remove "${rule}" from permissions.${kind} in ${displayPath(ruleSource(env, kind, rule))}` }));
+      }
+    }
+  }
+
+  if (Array.isArray(policy.mcpServers?.allowed)) {
+    for (const sv of env.mcpServers) {
+      require(policy.mcpServers.allowed.includes(sv.name), () => ({
+        type: 'mcp',
+        message: `MCP server ${sv.name} (${sv.scope}) is not on the approved list`,
+        remediation: `Remove "${sv.name}" from ${displayPath(sv.source)}, or get it added to the approved list`,
+      }));
+    }
+  }
+
+  const headings = memoryHeadings(env);
+  for (const section of list(policy.claudeMd?.sections)) {
+    const title = String(section).replace(/^#+\s*/, '');
+    require(headings.some(h => h.includes(title.toLowerCase())), () => ({
+      type: 'claudeMd',
+      message: `CLAUDE.md has no "${title}" section`,
+      remediation: `Add a "## ${title}" section to ${displayPath(env.host.join(env.ccDir, 'CLAUDE.md'))} or the project's CLAUDE.md`,
+    }));
+  }
+
+  for (const [dim, min] of Object.entries(isPlainObject(policy.dimensions) ? policy.dimensions : {})) {
+    if (!(dim in dimTotals) || !Number.isFinite(min)) {
+      warnings.push(`Ignoring policy dimension "${dim}": ${dim in dimTotals ? 'expected a minimum percent' : `use one of ${Object.keys(dimTotals).join(', ')}`}`);
+      continue;
+    }
+    // A dimension with no applicable checks has nothing to fall short of
+    if (dimTotals[dim] === 0) continue;
+    const pct = percentOf(dimScores[dim], dimTotals[dim]);
+    const open = results.filter(r => r.cat === dim && (r.status === 'fail' || r.status === 'warn') && !r.acceptedRisk).map(r => r.id);
+    require(pct >= min, () => ({
+      type: 'dimension',
+      message: `${dim} is ${pct}%, below the required ${min}%`,
+      remediation: open.length > 0 ? `Fix ${open.join(', ')} (npx cc-health-check --explain <id>)` : 'Review the accepted risks in this dimension',
+    }));
+  }
+
+  return { compliant: violations.length === 0, requirements, violations, warnings };
+}
+
+// ─── Check registry ───
+function describeCheck(ch) {
+  return { id: ch.id, dimension: ch.cat, check: ch.q, weight: ch.w, fix: ch.fix, hook: ch.hook, recommend: ch.recommend, autofix: Boolean(ch.autofix) };
+}
+
+// filter: an array of ids / dimension names, or a predicate over describeCheck()
+function selectChecks(list, filter) {
+  if (filter === undefined) return list;
+  if (Array.isArray(filter)) return list.filter(ch => filter.includes(ch.id) || filter.includes(ch.cat));
+  if (typeof filter === 'function') return list.filter(ch => filter(describeCheck(ch)));
+  throw new TypeError('checks filter must be an array of ids/dimensions or a function');
+}
+
+// ─── Public API ───
+/** Built-in checks, optionally filtered the same way as runHealthCheck({ checks }). */
+function listChecks(filter) {
+  return selectChecks(checks, filter).map(describeCheck);
+}
+
+export {
+  listChecks,
+  loadEnvironment,
+  runChecks,
+  jsonReport,
+  coverageMatrix,
+  checkPolicy,
+  virtualHost,
+  setDisplayHome,
+  // Helpers shared with lib.mjs, the CLI and the web page
+  readJSON,
+  displayPath,
+  isPlainObject,
+  getAllHookCommands,
+  percentOf,
+};
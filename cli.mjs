@@ -3,13 +3,19 @@
 // cc-health-check — CLI diagnostic for Claude Code setups
 // Automatically detects settings, hooks, and patterns to score your setup.
 
-import { readFileSync, existsSync, readdirSync, statSync } from 'node:fs';
-import { join, resolve } from 'node:path';
-import { homedir } from 'node:os';
+import { readFileSync, writeFileSync, appendFileSync, existsSync, readdirSync, statSync, mkdirSync, copyFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { spawnSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import {
+  loadEnvironment, runChecks, jsonReport, coverageMatrix, checkPolicy, HOME, readJSON, displayPath, isPlainObject, getAllHookCommands, percentOf,
+} from './lib.mjs';
+import { LANGS, BOOK_CHAPTERS, detectLang, translator } from './messages.mjs';
 
-const HOME = homedir();
 const CC_DIR = join(HOME, '.claude');
-const SETTINGS_PATH = join(CC_DIR, 'settings.json');
+const HISTORY_PATH = join(CC_DIR, 'cc-health-check', 'history.jsonl');
 
 // ─── Color helpers (no dependencies) ───
 const c = {
@@ -28,553 +34,106 @@ const c = {
 };
 
 const PASS = `${c.green}[PASS]${c.reset}`;
+const RISK = `${c.yellow}[RISK]${c.reset}`;
 const WARN = `${c.yellow}[WARN]${c.reset}`;
 const FAIL = `${c.red}[FAIL]${c.reset}`;
 const INFO = `${c.cyan}[INFO]${c.reset}`;
 
-// ─── Utility ───
-function readJSON(path) {
-  try {
-    return JSON.parse(readFileSync(path, 'utf-8'));
-  } catch {
-    return null;
-  }
-}
-
-function fileContains(path, patterns) {
-  try {
-    const content = readFileSync(path, 'utf-8').toLowerCase();
-    return patterns.some(p => content.includes(p.toLowerCase()));
-  } catch {
-    return false;
-  }
-}
-
-function findFilesRecursive(dir, maxDepth = 3, depth = 0) {
-  if (depth > maxDepth || !existsSync(dir)) return [];
-  const files = [];
-  try {
-    for (const entry of readdirSync(dir)) {
-      const full = join(dir, entry);
-      try {
-        const stat = statSync(full);
-        if (stat.isFile()) files.push(full);
-        else if (stat.isDirectory() && !entry.startsWith('.') && entry !== 'node_modules') {
-          files.push(...findFilesRecursive(full, maxDepth, depth + 1));
-        }
-      } catch { /* permission denied, skip */ }
-    }
-  } catch { /* permission denied, skip */ }
-  return files;
-}
-
-function getHookScripts(settings, eventType) {
-  if (!settings?.hooks) return [];
-  const hooks = settings.hooks[eventType];
-  if (!hooks) return [];
-  return (Array.isArray(hooks) ? hooks : [hooks])
-    .map(h => typeof h === 'string' ? h : h?.command || h?.script || '')
-    .filter(Boolean);
-}
-
-function getAllHookCommands(settings) {
-  if (!settings?.hooks) return [];
-  const all = [];
-  for (const [event, matchers] of Object.entries(settings.hooks)) {
-    // Claude Code format: { EventName: [{ matcher: "", hooks: [{ type, command }] }] }
-    const matcherList = Array.isArray(matchers) ? matchers : [matchers];
-    for (const matcher of matcherList) {
-      if (matcher?.hooks && Array.isArray(matcher.hooks)) {
-        for (const h of matcher.hooks) {
-          const cmd = h?.command || h?.script || '';
-          if (cmd) all.push({ event, command: cmd });
-        }
-      } else {
-        // Fallback: flat format { EventName: [{ command: "..." }] }
-        const cmd = typeof matcher === 'string' ? matcher : matcher?.command || matcher?.script || '';
-        if (cmd) all.push({ event, command: cmd });
-      }
-    }
-  }
-  return all;
-}
-
-// ─── Load environment ───
-const settings = readJSON(SETTINGS_PATH);
-const allHooks = settings ? getAllHookCommands(settings) : [];
-const allHookText = allHooks.map(h => h.command).join('\n').toLowerCase();
-
-// Find CLAUDE.md files
-const claudeMdPaths = [
-  join(HOME, 'CLAUDE.md'),
-  join(HOME, '.claude', 'CLAUDE.md'),
-];
-// Also check current directory
-const cwd = process.cwd();
-if (cwd !== HOME) {
-  claudeMdPaths.push(join(cwd, 'CLAUDE.md'));
-  claudeMdPaths.push(join(cwd, '.claude', 'CLAUDE.md'));
-}
-const claudeMdContents = claudeMdPaths
-  .filter(p => existsSync(p))
-  .map(p => readFileSync(p, 'utf-8').toLowerCase())
-  .join('\n');
-
-// Check for common files
-const hasMemoryDir = existsSync(join(CC_DIR, 'memory')) || existsSync(join(CC_DIR, 'projects'));
-const hasMissionMd = existsSync(join(HOME, 'ops', 'mission.md')) ||
-  existsSync(join(cwd, 'mission.md')) ||
-  existsSync(join(cwd, 'tasks', 'todo.md'));
-
-// ─── 20 Checks ───
-const checks = [
-  // === SAFETY (4 checks, 5pts each = 20) ===
-  {
-    cat: 'Safety Guards',
-    q: 'PreToolUse hook blocks dangerous commands (rm -rf, git reset --hard)',
-    w: 5,
-    test() {
-      const preHooks = allHooks.filter(h => h.event.toLowerCase().includes('pretooluse'));
-      if (preHooks.length === 0) return { pass: false, detail: 'No PreToolUse hooks found' };
-      const hasGuard = preHooks.some(h => {
-        const cmd = h.command.toLowerCase();
-        return cmd.includes('rm') || cmd.includes('guard') || cmd.includes('safe') ||
-          cmd.includes('block') || cmd.includes('deny') || cmd.includes('cdp');
-      });
-      // Also check if hook scripts contain safety patterns
-      const scriptFiles = preHooks.map(h => {
-        const parts = h.command.split(/\s+/);
-        return parts.find(p => p.endsWith('.sh') || p.endsWith('.js') || p.endsWith('.py'));
-      }).filter(Boolean);
-
-      for (const sf of scriptFiles) {
-        const fullPath = sf.startsWith('/') ? sf : join(HOME, sf);
-        if (fileContains(fullPath, ['rm -rf', 'reset --hard', 'force', 'block', 'deny', 'BLOCK'])) {
-          return { pass: true, detail: `Safety hook found: ${sf}` };
-        }
-      }
-      return hasGuard
-        ? { pass: true, detail: `${preHooks.length} PreToolUse hook(s) with safety patterns` }
-        : { pass: false, detail: `${preHooks.length} PreToolUse hook(s) found but no safety patterns detected` };
-    },
-    fix: 'Add a PreToolUse hook that blocks destructive commands. A single shell script can catch rm -rf, force push, and database drops.',
-    hook: 'hooks/branch-guard.sh',
-    recommend: ['rm-safety-net', 'no-sudo-guard', 'credential-exfil-guard'],
-  },
-  {
-    cat: 'Safety Guards',
-    q: 'API keys stored in dedicated files (not hardcoded in CLAUDE.md)',
-    w: 5,
-    test() {
-      const hasSecrets = claudeMdContents.match(/sk-[a-z0-9]{20,}|ghp_[a-z0-9]{36}|token\s*[:=]\s*["\'][^"\']{20,}/i);
-      if (hasSecrets) return { pass: false, detail: 'Possible API key found in CLAUDE.md' };
-      const hasCredFile = existsSync(join(HOME, '.credentials')) ||
-        existsSync(join(HOME, '.env')) ||
-        existsSync(join(HOME, '.secrets'));
-      return { pass: true, detail: hasCredFile ? 'Credentials stored in dedicated file' : 'No leaked keys detected in CLAUDE.md' };
-    },
-    fix: 'Move API keys out of CLAUDE.md into ~/.credentials or environment variables.',
-    hook: 'templates/CLAUDE-autonomous.md',
-    recommend: ['hardcoded-secret-detector', 'write-secret-guard', 'output-secret-mask'],
-  },
-  {
-    cat: 'Safety Guards',
-    q: 'Setup prevents pushing to main/master without review',
-    w: 5,
-    test() {
-      const hasBranchGuard = allHookText.includes('main') || allHookText.includes('master') ||
-        allHookText.includes('branch') || allHookText.includes('push');
-      const claudeHasRule = claudeMdContents.includes('feature branch') ||
-        claudeMdContents.includes('push') && claudeMdContents.includes('main');
-      return (hasBranchGuard || claudeHasRule)
-        ? { pass: true, detail: 'Branch protection detected' }
-        : { pass: false, detail: 'No branch protection rules found' };
-    },
-    fix: 'Add a PreToolUse hook that checks the target branch before git push. Block direct pushes to main/master.',
-    hook: 'hooks/branch-guard.sh',
-    recommend: ['no-push-without-ci', 'git-remote-guard', 'no-git-amend-push'],
-  },
-  {
-    cat: 'Safety Guards',
-    q: 'Error-aware gate blocks external calls when errors exist',
-    w: 5,
-    test() {
-      const hasErrGate = allHookText.includes('error') || allHookText.includes('err-tracker') ||
-        allHookText.includes('err_code');
-      const claudeHasErrRule = claudeMdContents.includes('error') && claudeMdContents.includes('block');
-      return (hasErrGate || claudeHasErrRule)
-        ? { pass: true, detail: 'Error-aware gating detected' }
-        : { pass: false, detail: 'No error-aware gate found' };
-    },
-    fix: 'Add an error-tracker that prevents publishing or pushing when unresolved errors exist.',
-    hook: 'hooks/error-gate.sh',
-    recommend: ['error-memory-guard', 'verify-before-done', 'verify-before-commit'],
-  },
-
-  // === QUALITY (4 checks, 5pts each = 20) ===
-  {
-    cat: 'Code Quality',
-    q: 'Syntax checks run after every file edit (PostToolUse hook)',
-    w: 5,
-    test() {
-      const postHooks = allHooks.filter(h => h.event.toLowerCase().includes('posttooluse'));
-      const hasSyntax = postHooks.some(h => {
-        const cmd = h.command.toLowerCase();
-        return cmd.includes('syntax') || cmd.includes('compile') || cmd.includes('lint') ||
-          cmd.includes('py_compile') || cmd.includes('eslint') || cmd.includes('check');
-      });
-      return hasSyntax
-        ? { pass: true, detail: 'Post-edit syntax checking configured' }
-        : { pass: false, detail: 'No syntax check hook found in PostToolUse' };
-    },
-    fix: 'Add a PostToolUse hook on Edit/Write that runs language-specific syntax checks (py_compile, eslint, bash -n).',
-    hook: 'hooks/syntax-check.sh',
-    recommend: ['edit-verify'],
-  },
-  {
-    cat: 'Code Quality',
-    q: 'Error detection and tracking from command output',
-    w: 5,
-    test() {
-      const hasErrDetect = allHookText.includes('error') || allHookText.includes('stderr') ||
-        allHookText.includes('exit_code') || allHookText.includes('err-code');
-      return hasErrDetect
-        ? { pass: true, detail: 'Error detection patterns found in hooks' }
-        : { pass: false, detail: 'No error detection in command output' };
-    },
-    fix: 'Scan bash output for error patterns in PostToolUse hooks. Track repeated errors and escalate.',
-    hook: 'hooks/activity-logger.sh',
-    recommend: ['loop-detector', 'file-change-tracker'],
-  },
-  {
-    cat: 'Code Quality',
-    q: 'Definition of Done (DoD) checklist exists for task completion',
-    w: 5,
-    test() {
-      const hasDod = claudeMdContents.includes('definition of done') || claudeMdContents.includes('dod') ||
-        claudeMdContents.includes('done checklist') || claudeMdContents.includes('completion criteria');
-      const dodFile = existsSync(join(CC_DIR, 'dod-checklists.md')) ||
-        existsSync(join(cwd, 'dod-checklists.md'));
-      return (hasDod || dodFile)
-        ? { pass: true, detail: 'DoD criteria found' }
-        : { pass: false, detail: 'No Definition of Done checklist detected' };
-    },
-    fix: 'Define what "done" means: tests pass, no open errors, syntax clean, docs updated.',
-    hook: 'templates/dod-checklists.md',
-    recommend: ['verify-before-done', 'test-before-commit'],
-  },
-  {
-    cat: 'Code Quality',
-    q: 'AI verifies its own output (screenshots, GET requests after publishing)',
-    w: 5,
-    test() {
-      const hasVerify = claudeMdContents.includes('verify') || claudeMdContents.includes('screenshot') ||
-        claudeMdContents.includes('confirmation') || claudeMdContents.includes('proof');
-      return hasVerify
-        ? { pass: true, detail: 'Output verification instructions found' }
-        : { pass: false, detail: 'No output verification pattern detected' };
-    },
-    fix: 'Add verification steps to your workflow: after publishing or deploying, confirm the result matches expectations.',
-    hook: 'templates/CLAUDE-autonomous.md',
-    recommend: ['verify-before-done', 'verify-before-commit'],
-  },
-
-  // === MONITORING (3 checks, 5pts each = 15) ===
-  {
-    cat: 'Monitoring',
-    q: 'Context window usage monitored with alerts before it fills up',
-    w: 5,
-    test() {
-      const hasContextMon = allHookText.includes('context') || allHookText.includes('compact') ||
-        allHookText.includes('token');
-      return hasContextMon
-        ? { pass: true, detail: 'Context window monitoring detected' }
-        : { pass: false, detail: 'No context window monitoring' };
-    },
-    fix: 'Add a PostToolUse hook that checks context percentage and alerts before it fills up. Auto-compact at critical levels.',
-    hook: 'hooks/context-monitor.sh',
-    recommend: ['compact-reminder', 'auto-compact-prep', 'session-token-counter'],
-  },
-  {
-    cat: 'Monitoring',
-    q: 'Activity logging tracks what commands ran, when, and what changed',
-    w: 5,
-    test() {
-      const hasActivityLog = allHookText.includes('activity') || allHookText.includes('log') ||
-        allHookText.includes('jsonl') || allHookText.includes('audit');
-      return hasActivityLog
-        ? { pass: true, detail: 'Activity logging detected' }
-        : { pass: false, detail: 'No activity logging configured' };
-    },
-    fix: 'Add a PostToolUse hook that logs every tool use to a JSONL file with timestamps.',
-    hook: 'hooks/activity-logger.sh',
-    recommend: ['permission-audit-log'],
-  },
-  {
-    cat: 'Monitoring',
-    q: 'Daily summaries of AI work are generated (proof-log, session reports)',
-    w: 5,
-    test() {
-      const hasProofLog = allHookText.includes('proof') || allHookText.includes('summary') ||
-        allHookText.includes('session') || allHookText.includes('digest');
-      const proofLogDir = existsSync(join(HOME, 'ops', 'proof-log'));
-      return (hasProofLog || proofLogDir)
-        ? { pass: true, detail: 'Daily summarization configured' }
-        : { pass: false, detail: 'No daily summary generation' };
-    },
-    fix: 'Write a Stop hook that generates a 5W1H summary at session end. Makes handoffs and audits trivial.',
-    hook: 'hooks/proof-log-session.sh',
-    recommend: ['session-summary', 'session-summary-stop', 'session-handoff'],
-  },
-
-  // === RECOVERY (3 checks, 5pts each = 15) ===
-  {
-    cat: 'Recovery',
-    q: 'Git backup branches created before major changes',
-    w: 5,
-    test() {
-      const hasBackup = claudeMdContents.includes('backup') || claudeMdContents.includes('backup/before');
-      return hasBackup
-        ? { pass: true, detail: 'Backup branch instructions found in CLAUDE.md' }
-        : { pass: false, detail: 'No backup branch strategy detected' };
-    },
-    fix: 'Add "git checkout -b backup/before-changes" to your CLAUDE.md instructions before risky operations.',
-    hook: 'templates/CLAUDE-autonomous.md',
-    recommend: ['auto-git-checkpoint', 'backup-before-refactor', 'auto-checkpoint'],
-  },
-  {
-    cat: 'Recovery',
-    q: 'Watchdog detects and recovers from hangs/idle states',
-    w: 5,
-    test() {
-      const hasWatchdog = allHookText.includes('watchdog') || allHookText.includes('idle') ||
-        allHookText.includes('nudge') || allHookText.includes('heartbeat');
-      // Check for common watchdog scripts
-      const watchdogExists = existsSync(join(HOME, 'bin', 'cc-solo-watchdog')) ||
-        existsSync(join(HOME, '.claude', 'cc-solo-watchdog'));
-      return (hasWatchdog || watchdogExists)
-        ? { pass: true, detail: 'Watchdog mechanism detected' }
-        : { pass: false, detail: 'No watchdog for hang/idle detection' };
-    },
-    fix: 'Implement a tmux-based watchdog that detects idle/frozen states and automatically nudges or restarts the agent.',
-    hook: 'hooks/session-start-marker.sh',
-    recommend: ['notify-waiting', 'max-session-duration'],
-  },
-  {
-    cat: 'Recovery',
-    q: 'Fallback plan exists for when AI gets stuck in a loop',
-    w: 5,
-    test() {
-      const hasLoopDetect = claudeMdContents.includes('loop') || claudeMdContents.includes('retry') ||
-        claudeMdContents.includes('3 times') || claudeMdContents.includes('escalat');
-      const hasRootCause = allHookText.includes('root-cause') || allHookText.includes('loop');
-      return (hasLoopDetect || hasRootCause)
-        ? { pass: true, detail: 'Loop detection / retry limits found' }
-        : { pass: false, detail: 'No loop detection or retry limits' };
-    },
-    fix: 'Track repeated command patterns. If the same error appears 3+ times, break the loop and escalate.',
-    hook: 'templates/LESSONS.md',
-    recommend: ['loop-detector'],
-  },
-
-  // === AUTONOMY (3 checks, 5pts each = 15) ===
-  {
-    cat: 'Autonomy',
-    q: 'AI can run tasks from a queue without human prompting',
-    w: 5,
-    test() {
-      const hasQueue = existsSync(join(HOME, 'ops', 'task-queue.yaml')) ||
-        existsSync(join(cwd, 'task-queue.yaml')) ||
-        existsSync(join(cwd, 'tasks', 'todo.md'));
-      const claudeHasQueue = claudeMdContents.includes('task queue') || claudeMdContents.includes('task-queue');
-      return (hasQueue || claudeHasQueue)
-        ? { pass: true, detail: 'Task queue mechanism found' }
-        : { pass: false, detail: 'No task queue for autonomous execution' };
-    },
-    fix: 'Create a task-queue.yaml with status tracking (pending/in-progress/done) that the AI reads and executes.',
-    hook: 'templates/task-queue.yaml',
-    recommend: [],
-  },
-  {
-    cat: 'Autonomy',
-    q: 'Setup blocks the AI from asking unnecessary questions',
-    w: 5,
-    test() {
-      const hasNoAsk = allHookText.includes('no-ask') || allHookText.includes('question') ||
-        claudeMdContents.includes("don't ask") || claudeMdContents.includes('質問') ||
-        claudeMdContents.includes('自分で判断');
-      return hasNoAsk
-        ? { pass: true, detail: 'Question-blocking rules detected' }
-        : { pass: false, detail: 'No rules to prevent unnecessary questions' };
-    },
-    fix: 'Add a hook or CLAUDE.md rule that redirects question-asking patterns to autonomous decision-making.',
-    hook: 'hooks/no-ask-human.sh',
-    recommend: [],
-  },
-  {
-    cat: 'Autonomy',
-    q: 'AI can continue working across session restarts (persistent state)',
-    w: 5,
-    test() {
-      const hasPersist = hasMemoryDir || hasMissionMd ||
-        claudeMdContents.includes('memory') || claudeMdContents.includes('mission.md') ||
-        claudeMdContents.includes('persistent');
-      return hasPersist
-        ? { pass: true, detail: 'State persistence mechanism found' }
-        : { pass: false, detail: 'No persistent state mechanism' };
-    },
-    fix: 'Use mission.md or MEMORY.md to maintain state across context compactions and session restarts.',
-    hook: 'templates/mission.md',
-    recommend: ['session-state-saver', 'post-compact-restore', 'session-checkpoint'],
-  },
-
-  // === COORDINATION (3 checks, 5+3+2 = 10) ===
-  {
-    cat: 'Coordination',
-    q: 'Decision audit trail logs why each decision was made',
-    w: 5,
-    test() {
-      const hasDecLog = allHookText.includes('decision') || allHookText.includes('rationale') ||
-        existsSync(join(HOME, 'ops', 'decision-log.jsonl'));
-      return hasDecLog
-        ? { pass: true, detail: 'Decision logging found' }
-        : { pass: false, detail: 'No decision audit trail' };
-    },
-    fix: 'Track decisions with rationale — what was decided, why, and what alternatives were rejected.',
-    hook: 'hooks/decision-warn.sh',
-    recommend: ['permission-audit-log'],
-  },
-  {
-    cat: 'Coordination',
-    q: 'AI can coordinate with other AI instances or tools',
-    w: 3,
-    test() {
-      const hasCoord = claudeMdContents.includes('multi-agent') || claudeMdContents.includes('codex') ||
-        claudeMdContents.includes('team') || claudeMdContents.includes('subagent') ||
-        allHookText.includes('relay') || allHookText.includes('tachikoma');
-      return hasCoord
-        ? { pass: true, detail: 'Multi-agent coordination found' }
-        : { pass: false, detail: 'No multi-agent coordination' };
-    },
-    fix: 'Enable file-based or tmux-based messaging between AI instances for parallel work.',
-    hook: 'templates/CLAUDE-autonomous.md',
-    recommend: ['subagent-scope-guard', 'subagent-budget-guard'],
-  },
-  {
-    cat: 'Coordination',
-    q: 'Structured way to capture and reuse lessons learned',
-    w: 2,
-    test() {
-      const hasLessons = existsSync(join(cwd, 'tasks', 'lessons.md')) ||
-        existsSync(join(cwd, 'LESSONS.md')) ||
-        claudeMdContents.includes('lesson') || claudeMdContents.includes('教訓');
-      return hasLessons
-        ? { pass: true, detail: 'Lesson capture mechanism found' }
-        : { pass: false, detail: 'No structured lesson capture' };
-    },
-    fix: 'Maintain a LESSONS.md file to log errors and their fixes for future reference.',
-    hook: 'templates/LESSONS.md',
-    recommend: [],
-  },
-];
-
-// ─── Run all checks ───
-function runChecks() {
-  const totalPts = checks.reduce((s, ch) => s + ch.w, 0);
-  let earned = 0;
-  const results = [];
-  const dimScores = {};
-  const dimTotals = {};
-
-  for (const ch of checks) {
-    if (!dimScores[ch.cat]) {
-      dimScores[ch.cat] = 0;
-      dimTotals[ch.cat] = 0;
-    }
-    dimTotals[ch.cat] += ch.w;
-    const result = ch.test();
-    const pts = result.pass ? ch.w : 0;
-    earned += pts;
-    dimScores[ch.cat] += pts;
-    results.push({ cat: ch.cat, q: ch.q, w: ch.w, fix: ch.fix, hook: ch.hook, recommend: ch.recommend, result, pts });
-  }
-
-  const pct = Math.round((earned / totalPts) * 100);
-  let grade;
-  if (pct >= 80) grade = 'Production Ready';
-  else if (pct >= 60) grade = 'Getting There';
-  else if (pct >= 35) grade = 'Needs Work';
-  else grade = 'Critical';
-
-  return { results, dimScores, dimTotals, earned, totalPts, pct, grade };
+function statusIcon(r) {
+  if (r.acceptedRisk) return RISK;
+  return { pass: PASS, warn: WARN, fail: FAIL, info: INFO }[r.status];
 }
 
 function printHuman(data) {
-  const { results, dimScores, dimTotals, earned, totalPts, pct, grade } = data;
+  const { env, results, dimScores, dimTotals, earned, totalPts, pct, grade } = data;
+  const { grades } = env;
 
   console.log('');
-  const pkg = readJSON(new URL('./package.json', import.meta.url).pathname);
-  const ver = pkg?.version || '1.0';
+  const ver = packageVersion();
   console.log(`${c.bold}${c.cyan}  Claude Code Health Check v${ver}${c.reset}`);
   console.log(`${c.dim}  ═══════════════════════════════════════${c.reset}`);
-  console.log(`${c.dim}  Scanning: ${CC_DIR}${c.reset}`);
+  console.log(`${c.dim}  ${t('scanning', env.ccDir)}${c.reset}`);
+  for (const p of env.configPaths) console.log(`${c.dim}  ${t('config', displayPath(p))}${c.reset}`);
+  if (env.settingsLayers.length === 0) {
+    console.log(`${c.dim}  ${t('settingsNone')}${c.reset}`);
+  }
+  for (const l of env.settingsLayers) {
+    const n = env.hooks.filter(h => h.source === l.path).length;
+    const ignored = env.managedHooksOnly && l.scope !== 'managed';
+    console.log(`${c.dim}  ${t('settingsLayer', l.scope, displayPath(l.path), n, ignored)}${c.reset}`);
+  }
+  if (env.evidence) console.log(`${c.dim}  ${t('evidence', env.evidence, displayPath(env.evidence.dir))}${c.reset}`);
   console.log('');
 
   let currentCat = '';
   for (const r of results) {
     if (r.cat !== currentCat) {
       currentCat = r.cat;
-      console.log(`  ${c.bold}${c.magenta}▸ ${r.cat}${c.reset}`);
+      console.log(`  ${c.bold}${c.magenta}▸ ${t.dim(r.cat)}${c.reset}`);
+    }
+    console.log(`    ${statusIcon(r)} ${t.q(r.id, r.q)}`);
+    if (r.status !== 'pass') {
+      console.log(`         ${c.dim}${t.detail(r.result.detail)}${c.reset}`);
+      if (r.acceptedRisk) console.log(`         ${c.yellow}${t('acceptedRisk')}${c.reset} ${r.acceptedRisk}`);
+    } else if (r.result.sources?.length > 0) {
+      console.log(`         ${c.dim}${t('from')} ${r.result.sources.map(displayPath).join(', ')}${c.reset}`);
+    }
+    for (const f of r.result.secrets || []) {
+      console.log(`         ${c.dim}${displayPath(f.file)}:${f.line}${c.reset} ${f.name} ${c.dim}${f.redacted}${c.reset}`);
+    }
+    for (const note of r.result.runtime || []) {
+      console.log(`         ${c.cyan}${t('runtime')}${c.reset} ${t.detail(note)}`);
     }
-    const icon = r.result.pass ? PASS : FAIL;
-    console.log(`    ${icon} ${r.q}`);
-    if (!r.result.pass) {
-      console.log(`         ${c.dim}${r.result.detail}${c.reset}`);
+    if (r.result.probe) {
+      for (const p of r.result.probe) {
+        const mark = p.blocked ? `${c.green}${t('blocked')}${c.reset}` : `${c.red}${t('allowed')}${c.reset}`;
+        console.log(`         ${c.dim}${t('probe')}${c.reset} ${p.command} → ${mark}`);
+      }
     }
   }
+  printCoverage(coverageMatrix(env.coverage));
 
   let gradeColor;
-  if (pct >= 80) gradeColor = c.green;
-  else if (pct >= 60) gradeColor = c.yellow;
+  if (pct >= grades.productionReady) gradeColor = c.green;
+  else if (pct >= grades.gettingThere) gradeColor = c.yellow;
   else gradeColor = c.red;
 
   console.log('');
   console.log(`  ${c.dim}───────────────────────────────────────${c.reset}`);
-  console.log(`  ${c.bold}Score: ${gradeColor}${pct}/100 — ${grade}${c.reset}`);
-  console.log(`  ${c.dim}(${earned}/${totalPts} points)${c.reset}`);
+  console.log(`  ${c.bold}${t('score')} ${gradeColor}${pct}/100 — ${t.grade(grade)}${c.reset}`);
+  const notApplicable = results.filter(r => r.status === 'info').length;
+  console.log(`  ${c.dim}${t('points', earned, totalPts, notApplicable)}${c.reset}`);
+  if (data.capped) console.log(`  ${c.red}${t('capped', data.capped.score, data.capped.by.join(', '))}${c.reset}`);
   console.log('');
 
-  console.log(`  ${c.bold}Dimensions:${c.reset}`);
+  console.log(`  ${c.bold}${t('dimensions')}${c.reset}`);
   for (const [cat, total] of Object.entries(dimTotals)) {
-    const score = dimScores[cat];
-    const dimPct = Math.round((score / total) * 100);
     const barLen = 20;
+    if (total === 0) {
+      console.log(`    ${c.dim}${'·'.repeat(barLen)}${c.reset} ${t.dim(cat)} ${c.dim}${t('notApplicable')}${c.reset}`);
+      continue;
+    }
+    const dimPct = percentOf(dimScores[cat], total);
     const filled = Math.round((dimPct / 100) * barLen);
     let barColor = c.green;
     if (dimPct < 60) barColor = c.yellow;
     if (dimPct < 34) barColor = c.red;
     const bar = barColor + '█'.repeat(filled) + c.dim + '░'.repeat(barLen - filled) + c.reset;
-    console.log(`    ${bar} ${cat} ${dimPct}%`);
+    console.log(`    ${bar} ${t.dim(cat)} ${dimPct}%`);
   }
   console.log('');
 
-  // Dimension-to-chapter mapping (free chapters marked)
-  const chapterMap = {
-    'Safety Guards': { ch: '2-safety-guards', title: 'Safety Guards — 最初に直すべき4つのチェック', free: true },
-    'Code Quality': { ch: '3-code-quality', title: 'Code Quality — 構文エラーを自動で防ぐ', free: false },
-    'Monitoring': { ch: '4-monitoring', title: 'Monitoring — AIが何をしているかを知る', free: false },
-    'Recovery': { ch: '5-recovery', title: 'Recovery — 失敗から回復する仕組み', free: false },
-    'Autonomy': { ch: '6-autonomy', title: 'Autonomy — CCが自分で判断して動く仕組み', free: false },
-    'Coordination': { ch: '7-coordination', title: 'Coordination — 複数エージェントが協調する仕組み', free: false },
-  };
   const BOOK_BASE = 'https://zenn.dev/yurukusa/books/6076c23b1cb18b';
   const TOKEN_BOOK = 'https://zenn.dev/yurukusa/books/token-savings-guide';
 
-  const failures = results.filter(r => !r.result.pass).sort((a, b) => b.w - a.w);
+  // Failures and warnings, by the points they cost
+  const failures = results
+    .filter(r => (r.status === 'fail' || r.status === 'warn') && !r.acceptedRisk)
+    .sort((a, b) => (b.w - b.pts) - (a.w - a.pts));
   if (failures.length > 0) {
-    console.log(`  ${c.bold}Top fixes:${c.reset}`);
+    console.log(`  ${c.bold}${t('topFixes')}${c.reset}`);
     for (const f of failures.slice(0, 5)) {
-      console.log(`    ${c.yellow}→${c.reset} ${f.fix}`);
+      console.log(`    ${c.yellow}→${c.reset} ${t.fix(f.id, f.fix)}`);
       if (f.recommend && f.recommend.length > 0) {
         for (const hookName of f.recommend.slice(0, 2)) {
           console.log(`      ${c.cyan}$${c.reset} ${c.bold}npx cc-safe-setup --install-example ${hookName}${c.reset}`);
@@ -585,97 +144,1329 @@ function printHuman(data) {
 
     // Show relevant book chapters for weak dimensions
     const weakDims = Object.entries(dimTotals)
-      .filter(([cat]) => dimScores[cat] / dimTotals[cat] < 0.5)
+      .filter(([cat, total]) => total > 0 && percentOf(dimScores[cat], total) < 50)
       .map(([cat]) => cat);
 
     if (weakDims.length > 0) {
-      console.log(`  ${c.bold}Read how to fix your weak areas:${c.reset}`);
+      console.log(`  ${c.bold}${t('readMore')}${c.reset}`);
       for (const dim of weakDims) {
-        const info = chapterMap[dim];
+        const info = BOOK_CHAPTERS[dim];
         if (info) {
-          const freeTag = info.free ? ` ${c.green}(free)${c.reset}` : '';
-          console.log(`    ${c.cyan}📖${c.reset} ${info.title}${freeTag}`);
+          const freeTag = info.free ? ` ${c.green}${t('free')}${c.reset}` : '';
+          console.log(`    ${c.cyan}📖${c.reset} ${t('chapters')[dim]}${freeTag}`);
           console.log(`       ${BOOK_BASE}/viewer/${info.ch}`);
         }
       }
       if (weakDims.includes('Monitoring')) {
-        console.log(`    ${c.cyan}📖${c.reset} Token optimization — CLAUDE.mdの書き方でトークン消費が2-3倍変わる`);
+        console.log(`    ${c.cyan}📖${c.reset} ${t('tokenBook')}`);
         console.log(`       ${TOKEN_BOOK}`);
       }
       console.log('');
     }
 
-    console.log(`  ${c.cyan}Quick fix:${c.reset} ${c.bold}npx cc-safe-setup${c.reset}  ${c.dim}(8 safety hooks in 10 seconds)${c.reset}`);
-    console.log(`  ${c.cyan}All hooks:${c.reset} ${c.bold}npx cc-safe-setup --examples${c.reset}  ${c.dim}(browse 655 hooks)${c.reset}`);
+    console.log(`  ${c.cyan}${t('quickFix')}${c.reset} ${c.bold}npx cc-safe-setup${c.reset}  ${c.dim}${t('quickFixNote')}${c.reset}`);
+    console.log(`  ${c.cyan}${t('allHooks')}${c.reset} ${c.bold}npx cc-safe-setup --examples${c.reset}  ${c.dim}${t('allHooksNote')}${c.reset}`);
   } else {
-    console.log(`  ${c.green}${c.bold}All 20 checks passed! Your setup is production-ready.${c.reset}`);
-    console.log(`\n  ${c.dim}Like this tool? ⭐ https://github.com/yurukusa/cc-health-check${c.reset}`);
+    const accepted = results.filter(r => r.acceptedRisk).length;
+    if (accepted > 0) {
+      console.log(`  ${c.green}${c.bold}${t('noOpenFailures', accepted)}${c.reset}`);
+    } else {
+      console.log(`  ${c.green}${c.bold}${t('allPassed', results.filter(r => r.status === 'pass').length)}${c.reset}`);
+    }
+    console.log(`\n  ${c.dim}${t('starUs')}${c.reset}`);
   }
 
   console.log('');
-  const dims = Object.entries(dimTotals).map(([cat, total]) => {
-    const dimPct = Math.round((dimScores[cat] / total) * 100);
-    return `${cat}: ${dimPct}%`;
+  const dims = Object.entries(dimTotals).filter(([, total]) => total > 0).map(([cat, total]) => {
+    const dimPct = percentOf(dimScores[cat], total);
+    return `${t.dim(cat)}: ${dimPct}%`;
   }).join(' | ');
-  console.log(`  ${c.dim}Share: "My Claude Code Health Score: ${pct}/100 (${dims})" #ClaudeCode${c.reset}`);
+  console.log(`  ${c.dim}${t('share', pct, dims)}${c.reset}`);
   console.log('');
 }
 
+function printCoverage(matrix) {
+  const purposes = [...new Set(Object.values(matrix).flatMap(Object.keys))];
+  const width = Math.max(...Object.keys(matrix).map(tool => tool.length));
+  const mark = v => (v === null ? `${c.dim}·${c.reset}` : v ? `${c.green}✓${c.reset}` : `${c.red}✗${c.reset}`);
+  console.log('');
+  console.log(`  ${c.bold}${t('hookCoverage')}${c.reset}`);
+  console.log(`    ${''.padEnd(width)}  ${purposes.map(p => p.padEnd(8)).join('').trimEnd()}`);
+  for (const [tool, row] of Object.entries(matrix)) {
+    console.log(`    ${tool.padEnd(width)}  ${purposes.map(p => mark(row[p])).join(' '.repeat(7))}`);
+  }
+}
+
 function printJSON(data) {
-  const { results, dimScores, dimTotals, earned, totalPts, pct, grade } = data;
-  const output = {
-    version: '1.0',
-    score: pct,
-    grade,
-    points: { earned, total: totalPts },
-    dimensions: {},
-    checks: [],
+  console.log(JSON.stringify(jsonReport(data), null, 2));
+}
+
+function packageVersion() {
+  return readJSON(new URL('./package.json', import.meta.url).pathname)?.version || '1.0';
+}
+
+// ─── CI report formats (--format sarif|junit) ───
+function severityFor(weight) {
+  if (weight >= 5) return { level: 'error', security: '8.0' };
+  if (weight >= 3) return { level: 'warning', security: '5.0' };
+  return { level: 'note', security: '2.0' };
+}
+
+// The file a failed check is about: project files first, so CI alerts point into the repo
+function artifactFor(r, env) {
+  const { cwd, ccDir, claudeMdFiles } = env;
+  const first = paths => paths.find(p => existsSync(p)) || paths[paths.length - 1];
+  const settingsFile = first([
+    join(cwd, '.claude', 'settings.local.json'),
+    join(cwd, '.claude', 'settings.json'),
+    join(ccDir, 'settings.json'),
+  ].filter((p, i, all) => all.indexOf(p) === i));
+  const claudeMdFile = claudeMdFiles.find(p => p.startsWith(cwd + '/')) || claudeMdFiles[0] || join(cwd, 'CLAUDE.md');
+  // Failures that name the settings file defining them (e.g. broken hooks) point there
+  if (r.result.sources?.length > 0) return r.result.sources[0];
+  if (r.cat === 'MCP Servers') return first([env.mcpConfigPath, env.claudeJsonPath]);
+  if (r.cat === 'Permissions' || r.hook?.startsWith('hooks/')) return settingsFile;
+  return claudeMdFile;
+}
+
+function sarifLocation(file, line, cwd) {
+  const inRepo = file.startsWith(cwd + '/');
+  return {
+    physicalLocation: {
+      artifactLocation: inRepo
+        ? { uri: file.slice(cwd.length + 1), uriBaseId: '%SRCROOT%' }
+        : { uri: pathToFileURL(file).href },
+      region: { startLine: line || 1 },
+    },
   };
-  for (const [cat, total] of Object.entries(dimTotals)) {
-    output.dimensions[cat] = {
-      score: dimScores[cat],
-      total,
-      percent: Math.round((dimScores[cat] / total) * 100),
+}
+
+function printSARIF(data) {
+  const rules = data.results.map(r => {
+    const sev = severityFor(r.w);
+    return {
+      id: r.id,
+      name: r.id.replace(/(^|-)([a-z])/g, (_, __, ch) => ch.toUpperCase()),
+      shortDescription: { text: r.q },
+      help: { text: r.fix || r.q },
+      defaultConfiguration: { level: sev.level },
+      properties: { tags: ['claude-code', r.cat], 'security-severity': sev.security },
     };
+  });
+  const results = [];
+  data.results.forEach((r, ruleIndex) => {
+    if ((r.status !== 'fail' && r.status !== 'warn') || r.acceptedRisk) return;
+    // Warnings earn partial credit, so they are reported one level down as notes
+    const base = { ruleId: r.id, ruleIndex, level: r.status === 'warn' ? 'note' : severityFor(r.w).level };
+    if (r.result.secrets?.length > 0) {
+      for (const f of r.result.secrets) {
+        results.push({ ...base, message: { text: `${f.name} (${f.redacted})` }, locations: [sarifLocation(f.file, f.line, data.env.cwd)] });
+      }
+    } else {
+      results.push({ ...base, message: { text: `${r.result.detail}. ${r.fix}`.trim() }, locations: [sarifLocation(artifactFor(r, data.env), 1, data.env.cwd)] });
+    }
+  });
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'cc-health-check',
+          version: packageVersion(),
+          informationUri: 'https://github.com/yurukusa/cc-health-check',
+          rules,
+        },
+      },
+      results,
+      properties: { score: data.pct, grade: data.grade },
+    }],
+  };
+  console.log(JSON.stringify(sarif, null, 2));
+}
+
+function xmlEscape(str) {
+  return String(str ?? '').replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]))
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function printJUnit(data) {
+  const dims = [...new Set(data.results.map(r => r.cat))];
+  const count = (list, fn) => list.filter(fn).length;
+  const isFailure = r => !r.result.pass && !r.acceptedRisk;
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  const isSkipped = r => r.acceptedRisk || r.status === 'info';
+  lines.push(`<testsuites name="cc-health-check" tests="${data.results.length}" failures="${count(data.results, isFailure)}" skipped="${count(data.results, isSkipped)}">`);
+  for (const dim of dims) {
+    const cases = data.results.filter(r => r.cat === dim);
+    lines.push(`  <testsuite name="${xmlEscape(dim)}" tests="${cases.length}" failures="${count(cases, isFailure)}" skipped="${count(cases, isSkipped)}">`);
+    for (const r of cases) {
+      const open = `    <testcase classname="cc-health-check.${xmlEscape(r.id.split('-')[0])}" name="${xmlEscape(`${r.id}: ${r.q}`)}"`;
+      if (r.status === 'info') {
+        lines.push(`${open}>`, `      <skipped message="${xmlEscape(`Not applicable: ${r.result.detail}`)}"/>`, '    </testcase>');
+      } else if (r.status === 'warn') {
+        lines.push(`${open}>`, `      <system-out>${xmlEscape(`Warning (${r.pts}/${r.w} points): ${r.result.detail}`)}</system-out>`, '    </testcase>');
+      } else if (r.result.pass) {
+        lines.push(`${open}/>`);
+      } else if (r.acceptedRisk) {
+        lines.push(`${open}>`, `      <skipped message="${xmlEscape(`Accepted risk: ${r.acceptedRisk}`)}"/>`, '    </testcase>');
+      } else {
+        const body = [r.fix, `File: ${artifactFor(r, data.env)}`, ...(r.result.secrets || []).map(f => `${f.file}:${f.line} ${f.name} ${f.redacted}`)];
+        lines.push(`${open}>`,
+          `      <failure message="${xmlEscape(r.result.detail)}" type="${xmlEscape(r.id)}">${xmlEscape(body.filter(Boolean).join('\n'))}</failure>`,
+          '    </testcase>');
+      }
+    }
+    lines.push('  </testsuite>');
   }
-  for (const r of results) {
-    output.checks.push({
-      dimension: r.cat,
-      check: r.q,
-      pass: r.result.pass,
-      detail: r.result.detail,
-      weight: r.w,
-      fix: r.result.pass ? undefined : r.fix,
-      hook: r.result.pass ? undefined : r.hook,
-      recommend: r.result.pass ? undefined : r.recommend?.filter(h => h) || [],
-    });
+  lines.push('</testsuites>');
+  console.log(lines.join('\n'));
+}
+
+// ─── Markdown summary (--format markdown) ───
+// For $GITHUB_STEP_SUMMARY or a PR comment: the score, what changed against --compare,
+// and one collapsible table per dimension
+const MD_STATUS = { pass: '✅', warn: '⚠️', fail: '❌', info: '➖' };
+
+function mdCell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/\s*\n\s*/g, ' ');
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function printMarkdown(data) {
+  const { results, dimScores, dimTotals, pct, grade, compare, policy } = data;
+  const lines = [`## Claude Code Health: ${pct}/100 — ${grade}`, ''];
+  if (data.capped) {
+    lines.push(`> **Capped from ${data.capped.score}:** a kill switch turns safety off (${data.capped.by.map(id => `\`${id}\``).join(', ')}).`, '');
   }
-  console.log(JSON.stringify(output, null, 2));
+  if (compare) {
+    lines.push(`Compared to \`${compare.ref}\`: **${compare.base.score} → ${pct}** (${signed(compare.scoreDelta)})`, '');
+    if (compare.newlyFailing.length > 0) {
+      lines.push(`### Newly failing (${compare.newlyFailing.length})`, '', '| | Check | Was | Detail |', '|---|---|---|---|');
+      for (const r of compare.newlyFailing) {
+        lines.push(`| ${MD_STATUS[r.status]} | ${mdCell(r.check)} \`${r.id}\` | ${r.from} | ${mdCell(r.detail)} |`);
+      }
+      lines.push('');
+    }
+    if (compare.fixed.length > 0) {
+      lines.push(`### Fixed (${compare.fixed.length})`, '');
+      for (const r of compare.fixed) lines.push(`- ${MD_STATUS[r.status]} ${mdCell(r.check)} \`${r.id}\` (was ${r.from})`);
+      lines.push('');
+    }
+    if (compare.newlyFailing.length + compare.fixed.length === 0) lines.push('No check changed status.', '');
+  }
+  if (policy) {
+    lines.push(`### Policy: ${policy.compliant ? `all ${policy.requirements} requirement(s) met` : `${policy.violations.length} of ${policy.requirements} requirement(s) violated`}`, '');
+    for (const v of policy.violations) lines.push(`- ❌ ${mdCell(v.message)}<br>→ ${mdCell(v.remediation)}`);
+    if (!policy.compliant) lines.push('');
+  }
+  for (const [cat, total] of Object.entries(dimTotals)) {
+    const checks = results.filter(r => r.cat === cat);
+    const open = checks.filter(r => (r.status === 'fail' || r.status === 'warn') && !r.acceptedRisk).length;
+    const dim = compare?.dimensions[cat];
+    const delta = dim && dim.base !== null && dim.head !== null && dim.head !== dim.base ? ` (${signed(dim.head - dim.base)})` : '';
+    const score = total > 0 ? `${percentOf(dimScores[cat], total)}%${delta}` : 'n/a';
+    lines.push('<details>', `<summary><b>${cat}</b>: ${score}${open > 0 ? ` · ${open} to fix` : ''}</summary>`, '');
+    lines.push('| | Check | Points | Detail |', '|---|---|---|---|');
+    for (const r of checks) {
+      const detail = r.acceptedRisk ? `Accepted risk: ${r.acceptedRisk}` : r.status === 'pass' ? '' : r.result.detail;
+      const points = r.status === 'info' || r.acceptedRisk ? '–' : `${r.pts}/${r.w}`;
+      lines.push(`| ${r.acceptedRisk ? MD_STATUS.info : MD_STATUS[r.status]} | ${mdCell(r.q)} | ${points} | ${mdCell(detail)} |`);
+    }
+    lines.push('', '</details>', '');
+  }
+  lines.push(`<sub>cc-health-check ${packageVersion()}</sub>`);
+  console.log(lines.join('\n'));
 }
 
 function printBadge(data) {
-  const { pct, grade } = data;
+  const { pct, grade, env: { grades } } = data;
   let color = 'brightgreen';
-  if (pct < 80) color = 'yellow';
-  if (pct < 60) color = 'orange';
-  if (pct < 35) color = 'red';
+  if (pct < grades.productionReady) color = 'yellow';
+  if (pct < grades.gettingThere) color = 'orange';
+  if (pct < grades.needsWork) color = 'red';
   const label = encodeURIComponent('Claude Code Health');
   const msg = encodeURIComponent(`${pct}% — ${grade}`);
   const url = `https://img.shields.io/badge/${label}-${msg}-${color}`;
   console.log(url);
   console.log('');
   console.log(`Markdown: ![Claude Code Health](${url})`);
+  const count = st => data.results.filter(r => r.status === st).length;
+  console.log(`Checks: ${count('pass')} pass, ${count('warn')} warn, ${count('fail')} fail, ${count('info')} not applicable`);
+}
+
+// ─── HTML report (--html) ───
+// One offline file in the web checker's visual style: no scripts, no external assets
+const HOOKS_REPO = 'https://github.com/yurukusa/claude-code-hooks/blob/main';
+
+const HTML_STYLE = `
+    *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+    :root {
+      --bg: #0f1419; --bg-surface: #1a2332; --bg-card: #1e2d3d; --bg-hover: #253545;
+      --accent: #1da1f2; --text: #e7e9ea; --text-muted: #71767b; --border: rgba(255,255,255,.08);
+      --safe: #00ba7c; --caution: #ffd166; --warning-col: #ff6b35; --critical: #f4212e; --radius: 12px;
+    }
+    body { background: var(--bg); color: var(--text); font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif; line-height: 1.6; }
+    header { background: linear-gradient(135deg, var(--bg-surface) 0%, #0d1b2a 100%); border-bottom: 2px solid var(--accent); padding: 40px 20px 32px; text-align: center; }
+    .badge { display: inline-block; background: rgba(29,161,242,.15); border: 1px solid rgba(29,161,242,.3); color: var(--accent); font-size: .7rem; font-weight: 700; letter-spacing: .1em; text-transform: uppercase; padding: 4px 14px; border-radius: 20px; margin-bottom: 16px; }
+    h1 { font-size: clamp(1.6rem, 4vw, 2.4rem); font-weight: 800; line-height: 1.2; }
+    h1 em { color: var(--accent); font-style: normal; }
+    .sub { max-width: 560px; margin: 12px auto 0; font-size: .95rem; color: var(--text-muted); word-break: break-all; }
+    .pills { display: flex; justify-content: center; gap: 10px; flex-wrap: wrap; margin-top: 20px; }
+    .pill { background: rgba(255,255,255,.06); border: 1px solid var(--border); padding: 4px 14px; border-radius: 20px; font-size: .75rem; color: var(--text-muted); }
+    .pill strong { color: var(--accent); }
+    main { max-width: 760px; margin: 0 auto; padding: 24px 16px 80px; }
+    .card { background: var(--bg-card); border: 1px solid var(--border); border-radius: var(--radius); padding: 24px; margin-bottom: 16px; }
+    .card-label { font-size: .72rem; font-weight: 700; letter-spacing: .08em; text-transform: uppercase; color: var(--accent); margin-bottom: 16px; }
+    .score-circle { width: 160px; height: 160px; border-radius: 50%; display: flex; flex-direction: column; align-items: center; justify-content: center; margin: 0 auto 16px; }
+    .score-number { font-size: 3rem; font-weight: 800; line-height: 1; }
+    .score-label { font-size: .8rem; color: var(--text-muted); }
+    .grade { text-align: center; font-size: 1.2rem; font-weight: 700; }
+    .points { text-align: center; font-size: .8rem; color: var(--text-muted); }
+    .dim-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+    @media (max-width: 500px) { .dim-grid { grid-template-columns: 1fr; } }
+    .dim-card { background: rgba(255,255,255,.03); border: 1px solid var(--border); border-radius: 8px; padding: 14px; }
+    .dim-name { font-size: .78rem; font-weight: 700; text-transform: uppercase; letter-spacing: .06em; margin-bottom: 6px; }
+    .dim-bar-bg { height: 8px; background: rgba(255,255,255,.06); border-radius: 4px; overflow: hidden; margin-bottom: 4px; }
+    .dim-bar-fill { height: 100%; border-radius: 4px; }
+    .dim-score { font-size: .7rem; color: var(--text-muted); }
+    .rec-list { list-style: none; }
+    .rec-item { padding: 12px; border-radius: 8px; margin-bottom: 8px; border-left: 3px solid; }
+    .rec-item.high { background: rgba(244,33,46,.08); border-color: var(--critical); }
+    .rec-item.med { background: rgba(255,107,53,.08); border-color: var(--warning-col); }
+    .rec-item.low { background: rgba(255,209,102,.06); border-color: var(--caution); }
+    .rec-title { font-weight: 700; font-size: .88rem; margin-bottom: 4px; }
+    .rec-desc { font-size: .8rem; color: var(--text-muted); }
+    .rec-tag { display: inline-block; font-size: .65rem; padding: 2px 8px; border-radius: 10px; margin-top: 6px; font-weight: 600; background: rgba(29,161,242,.15); color: var(--accent); }
+    .dim-title { font-size: .85rem; font-weight: 700; margin: 16px 0 6px; }
+    .dim-title:first-of-type { margin-top: 0; }
+    details { border-radius: 8px; margin-bottom: 4px; }
+    details[open] { background: rgba(255,255,255,.03); }
+    summary { display: flex; gap: 10px; align-items: baseline; padding: 8px 10px; cursor: pointer; font-size: .85rem; list-style: none; }
+    summary::-webkit-details-marker { display: none; }
+    summary:hover { background: var(--bg-hover); border-radius: 8px; }
+    .status { flex-shrink: 0; font-size: .65rem; font-weight: 700; padding: 2px 8px; border-radius: 10px; min-width: 44px; text-align: center; }
+    .status.pass { background: rgba(0,186,124,.15); color: var(--safe); }
+    .status.warn { background: rgba(255,209,102,.15); color: var(--caution); }
+    .status.fail { background: rgba(244,33,46,.15); color: var(--critical); }
+    .status.info, .status.risk { background: rgba(255,255,255,.06); color: var(--text-muted); }
+    .check-body { padding: 4px 12px 12px 64px; font-size: .8rem; }
+    .check-body p { margin-bottom: 6px; }
+    .muted { color: var(--text-muted); }
+    .evidence { list-style: none; font-size: .75rem; }
+    .evidence li { margin-bottom: 2px; word-break: break-all; }
+    code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .75rem; background: rgba(255,255,255,.06); padding: 1px 6px; border-radius: 4px; }
+    a { color: var(--accent); text-decoration: none; }
+    .share { font-size: .85rem; color: var(--text-muted); background: rgba(255,255,255,.03); border: 1px solid var(--border); border-radius: 8px; padding: 14px; }
+    footer { text-align: center; padding: 20px; font-size: .72rem; color: var(--text-muted); border-top: 1px solid var(--border); }
+`;
+
+function scoreColor(pct, grades) {
+  if (pct >= grades.productionReady) return { css: 'var(--safe)', rgb: '0,186,124' };
+  if (pct >= grades.gettingThere) return { css: 'var(--caution)', rgb: '255,209,102' };
+  if (pct >= grades.needsWork) return { css: 'var(--warning-col)', rgb: '255,107,53' };
+  return { css: 'var(--critical)', rgb: '244,33,46' };
+}
+
+function htmlCheck(r) {
+  const status = r.acceptedRisk ? 'risk' : r.status;
+  const open = r.status === 'fail' || r.status === 'warn';
+  const body = [`<p>${xmlEscape(r.result.detail)}</p>`];
+  if (r.acceptedRisk) body.push(`<p><strong>Accepted risk:</strong> ${xmlEscape(r.acceptedRisk)}</p>`);
+  if (open && r.fix) body.push(`<p><strong>Fix:</strong> ${xmlEscape(r.fix)}</p>`);
+  if (open && r.recommend?.length > 0) {
+    body.push(`<p><strong>Recommended hooks:</strong> ${r.recommend.map(h => `<code>npx cc-safe-setup --install-example ${xmlEscape(h)}</code>`).join(' ')}</p>`);
+  }
+  if (open && r.hook) body.push(`<p><a href="${HOOKS_REPO}/${xmlEscape(r.hook)}">↳ claude-code-hooks: ${xmlEscape(r.hook.split('/').pop())}</a></p>`);
+  for (const note of r.result.runtime || []) body.push(`<p><strong>Runtime:</strong> ${xmlEscape(note)}</p>`);
+  if (r.evidence.length > 0) {
+    const items = r.evidence.map(e => {
+      const where = e.file ? `<code>${xmlEscape(displayPath(e.file))}${e.line ? `:${e.line}` : ''}</code> ` : '';
+      return `<li>${e.matched ? '✓' : '<span class="muted">✗</span>'} ${where}${xmlEscape(e.text)}</li>`;
+    });
+    body.push(`<p class="muted">Evidence</p><ul class="evidence">${items.join('')}</ul>`);
+  }
+  // Not-applicable checks and accepted risks are left out of the total, as in the terminal output
+  const points = r.status === 'info' || r.acceptedRisk ? 'n/a' : `${r.pts}/${r.w}`;
+  return `<details${open ? ' open' : ''}><summary><span class="status ${status}">${status.toUpperCase()}</span><span>${xmlEscape(r.q)} <span class="muted">· ${points}</span></span></summary><div class="check-body">${body.join('')}</div></details>`;
+}
+
+function htmlReport(data) {
+  const { env, results, dimScores, dimTotals, earned, totalPts, pct, grade } = data;
+  const color = scoreColor(pct, env.grades);
+  const count = st => results.filter(r => r.status === st).length;
+  const dims = Object.entries(dimTotals).map(([cat, total]) => {
+    if (total === 0) {
+      return `<div class="dim-card"><div class="dim-name">${xmlEscape(cat)}</div><div class="dim-bar-bg"></div><div class="dim-score">n/a</div></div>`;
+    }
+    const dimPct = percentOf(dimScores[cat], total);
+    return `<div class="dim-card"><div class="dim-name">${xmlEscape(cat)}</div><div class="dim-bar-bg"><div class="dim-bar-fill" style="width:${dimPct}%; background:${scoreColor(dimPct, env.grades).css};"></div></div><div class="dim-score">${Math.round(dimScores[cat] * 10) / 10} / ${total} pts (${dimPct}%)</div></div>`;
+  });
+  const fixes = results
+    .filter(r => (r.status === 'fail' || r.status === 'warn') && !r.acceptedRisk)
+    .sort((a, b) => (b.w - b.pts) - (a.w - a.pts))
+    .map(r => {
+      const pri = r.w >= 5 ? 'high' : r.w >= 3 ? 'med' : 'low';
+      const tag = r.recommend?.[0] ? `<span class="rec-tag">npx cc-safe-setup --install-example ${xmlEscape(r.recommend[0])}</span>` : '';
+      return `<li class="rec-item ${pri}"><div class="rec-title">${xmlEscape(r.q)}</div><div class="rec-desc">${xmlEscape(r.fix || r.result.detail)}</div>${tag}</li>`;
+    });
+  const checks = [...new Set(results.map(r => r.cat))].map(cat =>
+    `<div class="dim-title">${xmlEscape(cat)}</div>${results.filter(r => r.cat === cat).map(htmlCheck).join('\n')}`);
+  const share = Object.entries(dimTotals).filter(([, total]) => total > 0)
+    .map(([cat, total]) => `${cat}: ${percentOf(dimScores[cat], total)}%`).join(' | ');
+  const generated = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>Claude Code Health Report — ${pct}/100</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+  <div class="badge">cc-health-check ${xmlEscape(packageVersion())} &middot; ${generated}</div>
+  <h1><em>Claude Code</em> Health Report</h1>
+  <p class="sub">${xmlEscape(displayPath(env.cwd))}</p>
+  <div class="pills">
+    <span class="pill"><strong>${count('pass')}</strong> passed</span>
+    <span class="pill"><strong>${count('warn')}</strong> warnings</span>
+    <span class="pill"><strong>${count('fail')}</strong> failed</span>
+    <span class="pill"><strong>${count('info')}</strong> not applicable</span>
+  </div>
+</header>
+<main>
+  <div class="card">
+    <div class="card-label">Score</div>
+    <div class="score-circle" style="background:radial-gradient(circle, rgba(${color.rgb},.15), rgba(${color.rgb},.05)); border:3px solid ${color.css};">
+      <div class="score-number" style="color:${color.css};">${pct}</div>
+      <div class="score-label">/ 100</div>
+    </div>
+    <div class="grade" style="color:${color.css};">${xmlEscape(grade)}</div>
+    <div class="points">${earned} / ${totalPts} points</div>
+    ${data.capped ? `<div class="points" style="color:${color.css};">Capped from ${data.capped.score}: a kill switch turns safety off (${xmlEscape(data.capped.by.join(', '))})</div>` : ''}
+  </div>
+  <div class="card">
+    <div class="card-label">Dimension Breakdown</div>
+    <div class="dim-grid">${dims.join('\n')}</div>
+  </div>
+  <div class="card">
+    <div class="card-label">Recommendations</div>
+    <ul class="rec-list">${fixes.length > 0 ? fixes.join('\n') : '<li style="padding:12px; color:var(--safe); font-weight:700;">No open failures.</li>'}</ul>
+  </div>
+  <div class="card">
+    <div class="card-label">All Checks</div>
+    ${checks.join('\n')}
+  </div>
+  <div class="card">
+    <div class="card-label">Share</div>
+    <div class="share">My Claude Code Health Score: ${pct}/100 (${xmlEscape(share)}) #ClaudeCode</div>
+  </div>
+</main>
+<footer>
+  Settings: ${env.settingsLayers.map(l => xmlEscape(displayPath(l.path))).join(', ') || 'none'}${env.configPaths.length ? ` &middot; Config: ${env.configPaths.map(p => xmlEscape(displayPath(p))).join(', ')}` : ''}<br />
+  Generated by <a href="https://github.com/yurukusa/cc-health-check">cc-health-check</a>
+</footer>
+</body>
+</html>
+`;
+}
+
+// ─── Fix mode (--fix, --dry-run) ───
+// Guard scripts written to ~/.claude/hooks/ for failed checks. Kept inline so
+// --fix works offline without fetching another package.
+const FIX_SCRIPTS = {
+  'destructive-guard': {
+    event: 'PreToolUse',
+    matcher: 'Bash',
+    content: `#!/bin/bash
+# Blocks destructive shell commands before they run (PreToolUse, Bash).
+# Installed by cc-health-check --fix.
+INPUT=$(cat)
+if command -v jq >/dev/null 2>&1; then
+  CMD=$(printf '%s' "$INPUT" | jq -r '.tool_input.command // empty')
+else
+  CMD=$INPUT
+fi
+block() {
+  echo "BLOCKED by destructive-guard: $1" >&2
+  exit 2
+}
+match() { printf '%s' "$CMD" | grep -Eiq "$1"; }
+match 'rm[[:space:]]+(-[a-z]*[[:space:]]+)*-[a-z]*r[a-z]*[[:space:]]+(/|~|[$]HOME|[.]{1,2})/?([[:space:]"]|$)' && block 'recursive delete of /, home or the project root'
+match 'git[[:space:]]+reset[[:space:]]+--hard' && block 'git reset --hard discards uncommitted work'
+match 'git[[:space:]]+push[^|;&]*[[:space:]](--force|-f)([[:space:]"]|$)' && block 'force push rewrites remote history'
+match 'git[[:space:]]+clean[[:space:]]+-[a-z]*f' && block 'git clean -f deletes untracked files'
+match 'drop[[:space:]]+(table|database|schema)' && block 'SQL DROP statement'
+exit 0
+`,
+  },
+  'branch-guard': {
+    event: 'PreToolUse',
+    matcher: 'Bash',
+    content: `#!/bin/bash
+# Blocks direct pushes to main/master (PreToolUse, Bash).
+# Installed by cc-health-check --fix.
+INPUT=$(cat)
+if command -v jq >/dev/null 2>&1; then
+  CMD=$(printf '%s' "$INPUT" | jq -r '.tool_input.command // empty')
+else
+  CMD=$INPUT
+fi
+printf '%s' "$CMD" | grep -Eq 'git[[:space:]]+push' || exit 0
+block() {
+  echo "BLOCKED by branch-guard: push to main/master. Push a feature branch and open a PR instead." >&2
+  exit 2
+}
+printf '%s' "$CMD" | grep -Eq '[[:space:]:+](main|master)([[:space:]"]|$)' && block
+BRANCH=$(git rev-parse --abbrev-ref HEAD 2>/dev/null)
+if [ "$BRANCH" = main ] || [ "$BRANCH" = master ]; then
+  printf '%s' "$CMD" | grep -Eq 'git[[:space:]]+push([[:space:]]+(-u|--set-upstream))?([[:space:]]+origin)?[[:space:]]*("|$)' && block
+fi
+exit 0
+`,
+  },
+  'error-gate': {
+    event: 'PreToolUse',
+    matcher: 'Bash',
+    content: `#!/bin/bash
+# Blocks publishing and pushing while the last command failed (PreToolUse, Bash).
+# Pairs with error-tracker.sh. Installed by cc-health-check --fix.
+command -v jq >/dev/null 2>&1 || exit 0
+INPUT=$(cat)
+SESSION=$(printf '%s' "$INPUT" | jq -r '.session_id // "default"')
+CMD=$(printf '%s' "$INPUT" | jq -r '.tool_input.command // empty')
+STATE="$HOME/.claude/error-state/$SESSION"
+[ -f "$STATE" ] || exit 0
+if printf '%s' "$CMD" | grep -Eq 'git[[:space:]]+push|npm[[:space:]]+publish|gh[[:space:]]+(release|pr[[:space:]]+merge)|curl[^|;&]*-X[[:space:]]*(POST|PUT|DELETE)'; then
+  echo "BLOCKED by error-gate: unresolved error from: $(cat "$STATE"). Fix it before publishing." >&2
+  exit 2
+fi
+exit 0
+`,
+  },
+  'error-tracker': {
+    event: 'PostToolUse',
+    matcher: 'Bash',
+    content: `#!/bin/bash
+# Records failing Bash commands and flags repeats (PostToolUse, Bash).
+# Installed by cc-health-check --fix.
+command -v jq >/dev/null 2>&1 || exit 0
+INPUT=$(cat)
+SESSION=$(printf '%s' "$INPUT" | jq -r '.session_id // "default"')
+CMD=$(printf '%s' "$INPUT" | jq -r '.tool_input.command // empty')
+ERR=$(printf '%s' "$INPUT" | jq -r '.tool_response.stderr // empty')
+STATE="$HOME/.claude/error-state"
+LOG="$HOME/.claude/error-log.jsonl"
+mkdir -p "$STATE"
+if printf '%s' "$ERR" | grep -Eiq 'error|fatal|failed|traceback|exception|not found|denied'; then
+  jq -cn --arg s "$SESSION" --arg c "$CMD" --arg e "$ERR" \\
+    '{ts: (now | todate), session: $s, command: $c, stderr: ($e | .[0:500])}' >> "$LOG"
+  printf '%s\\n' "$CMD" > "$STATE/$SESSION"
+  COUNT=$(jq -r --arg s "$SESSION" --arg c "$CMD" 'select(.session == $s and .command == $c) | .ts' "$LOG" | wc -l)
+  if [ "$COUNT" -ge 3 ]; then
+    echo "This command has failed $COUNT times in this session. Stop retrying: find the root cause or try a different approach." >&2
+    exit 2
+  fi
+else
+  rm -f "$STATE/$SESSION"
+fi
+exit 0
+`,
+  },
+  'syntax-check': {
+    event: 'PostToolUse',
+    matcher: 'Edit|Write|MultiEdit',
+    content: `#!/bin/bash
+# Runs a syntax check on every edited file (PostToolUse, Edit|Write|MultiEdit).
+# Installed by cc-health-check --fix.
+INPUT=$(cat)
+if command -v jq >/dev/null 2>&1; then
+  FILE=$(printf '%s' "$INPUT" | jq -r '.tool_input.file_path // empty')
+else
+  FILE=$(printf '%s' "$INPUT" | sed -n 's/.*"file_path"[[:space:]]*:[[:space:]]*"\\([^"]*\\)".*/\\1/p')
+fi
+[ -n "$FILE" ] && [ -f "$FILE" ] || exit 0
+case "$FILE" in
+  *.sh|*.bash) OUT=$(bash -n "$FILE" 2>&1) ;;
+  *.py) OUT=$(python3 -m py_compile "$FILE" 2>&1) ;;
+  *.js|*.mjs|*.cjs) OUT=$(node --check "$FILE" 2>&1) ;;
+  *.json) OUT=$(node -e 'JSON.parse(require("fs").readFileSync(process.argv[1], "utf8"))' "$FILE" 2>&1) ;;
+  *) exit 0 ;;
+esac
+STATUS=$?
+if [ "$STATUS" -ne 0 ]; then
+  echo "Syntax error in $FILE:" >&2
+  echo "$OUT" >&2
+  exit 2
+fi
+exit 0
+`,
+  },
+  'activity-logger': {
+    event: 'PostToolUse',
+    matcher: '',
+    content: `#!/bin/bash
+# Appends every tool call to a JSONL activity log (PostToolUse, all tools).
+# Installed by cc-health-check --fix.
+INPUT=$(cat | tr -d '\\n')
+LOG="$HOME/.claude/activity-log.jsonl"
+mkdir -p "$(dirname "$LOG")"
+printf '{"ts":"%s","event":%s}\\n' "$(date -u +%Y-%m-%dT%H:%M:%SZ)" "\${INPUT:-null}" >> "$LOG"
+exit 0
+`,
+  },
+};
+
+const CLAUDE_MD_SECTIONS = {
+  backup: {
+    heading: '## Backup before risky changes',
+    body: [
+      '- Before refactors, mass edits, dependency upgrades or history rewrites, create a backup branch:',
+      '  `git checkout -b backup/before-<change> && git checkout -`',
+      '- Never delete backup branches without asking.',
+    ],
+  },
+  dod: {
+    heading: '## Definition of Done',
+    body: [
+      'A task is done only when all of these hold:',
+      '- [ ] Tests pass',
+      '- [ ] No unresolved errors from this session',
+      '- [ ] Syntax checks pass for every edited file',
+      '- [ ] Docs updated for any changed behavior',
+    ],
+  },
+  loop: {
+    heading: '## Loop limits',
+    body: [
+      '- If the same command fails 3 times, stop retrying it.',
+      '- Write down the root cause hypothesis, then try a different approach or escalate to the user.',
+    ],
+  },
+};
+
+function unifiedDiff(before, after, fromLabel, toLabel, context = 3) {
+  const a = before === '' ? [] : before.replace(/\n$/, '').split('\n');
+  const b = after === '' ? [] : after.replace(/\n$/, '').split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { ops.push([' ', a[i++]]); j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push(['-', a[i++]]);
+    else ops.push(['+', b[j++]]);
+  }
+  while (i < a.length) ops.push(['-', a[i++]]);
+  while (j < b.length) ops.push(['+', b[j++]]);
+
+  const changes = ops.map((op, k) => (op[0] === ' ' ? -1 : k)).filter(k => k >= 0);
+  if (changes.length === 0) return '';
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (let k = 0; k < changes.length; k++) {
+    const start = Math.max(0, changes[k] - context);
+    while (k + 1 < changes.length && changes[k + 1] - changes[k] <= 2 * context) k++;
+    const end = Math.min(ops.length, changes[k] + context + 1);
+    const before = ops.slice(0, start);
+    const hunk = ops.slice(start, end);
+    const aStart = before.filter(o => o[0] !== '+').length;
+    const bStart = before.filter(o => o[0] !== '-').length;
+    const aLen = hunk.filter(o => o[0] !== '+').length;
+    const bLen = hunk.filter(o => o[0] !== '-').length;
+    out.push(`@@ -${aLen ? aStart + 1 : aStart},${aLen} +${bLen ? bStart + 1 : bStart},${bLen} @@`);
+    out.push(...hunk.map(([t, line]) => t + line));
+  }
+  return out.join('\n');
+}
+
+function printDiff(diff) {
+  for (const line of diff.split('\n')) {
+    let color = '';
+    if (line.startsWith('+')) color = c.green;
+    else if (line.startsWith('-')) color = c.red;
+    else if (line.startsWith('@@')) color = c.cyan;
+    console.log(`  ${color}${line}${c.reset}`);
+  }
+  console.log('');
+}
+
+// Positions of every value in a JSON text that already parsed, so entries can be inserted
+// without reformatting the rest of the file. Object items have a key; item.start is where the
+// key (or the array element) begins.
+function jsonNode(text) {
+  let i = 0;
+  const skip = () => { while (/\s/.test(text[i])) i++; };
+  const value = () => {
+    skip();
+    const start = i;
+    const open = text[i];
+    if (open === '{' || open === '[') {
+      const close = open === '{' ? '}' : ']';
+      const items = [];
+      i++;
+      skip();
+      while (text[i] !== close) {
+        const itemStart = i;
+        let key;
+        if (open === '{') {
+          const k = value();
+          key = JSON.parse(text.slice(k.start, k.end));
+          skip();
+          i++;
+        }
+        items.push({ key, start: itemStart, node: value() });
+        skip();
+        if (text[i] === ',') i++;
+        skip();
+      }
+      i++;
+      return { type: open === '{' ? 'object' : 'array', start, end: i, items };
+    }
+    if (open === '"') {
+      for (i++; text[i] !== '"'; i++) if (text[i] === '\\') i++;
+      i++;
+      return { type: 'string', start, end: i };
+    }
+    while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    return { type: 'literal', start, end: i };
+  };
+  return value();
+}
+
+function lineIndent(text, pos) {
+  return text.slice(text.lastIndexOf('\n', pos - 1) + 1).match(/^[ \t]*/)[0];
+}
+
+// Adds `key: value` (or an array element) as the container's last item, in the style of its
+// siblings: on its own line in a multi-line container, inline in a one-line file, and kept on
+// one line when the previous object or array is
+function insertItem(text, node, key, value, unit) {
+  const oneLineFile = !text.trim().includes('\n') && text.trim() !== '{}';
+  const multiline = text.slice(node.start, node.end).includes('\n') || (node.items.length === 0 && !oneLineFile);
+  const prefix = key === undefined ? '' : `${JSON.stringify(key)}: `;
+  const last = node.items[node.items.length - 1];
+  const indent = last ? lineIndent(text, last.start) : lineIndent(text, node.start) + unit;
+  const compact = !multiline || (last && ['object', 'array'].includes(last.node.type) &&
+    !text.slice(last.node.start, last.node.end).includes('\n'));
+  const item = compact
+    ? prefix + JSON.stringify(value, null, 1).replace(/\n\s*/g, ' ')
+    : prefix + JSON.stringify(value, null, unit).replace(/\n/g, `\n${indent}`);
+  if (last) {
+    const at = last.node.end;
+    return `${text.slice(0, at)},${multiline ? `\n${indent}` : ' '}${item}${text.slice(at)}`;
+  }
+  const inner = multiline ? `\n${indent}${item}\n${lineIndent(text, node.start)}` : ` ${item} `;
+  return `${text.slice(0, node.start + 1)}${inner}${text.slice(node.end - 1)}`;
+}
+
+function itemNamed(node, key) {
+  return [...node.items].reverse().find(item => item.key === key)?.node;
+}
+
+// Registers a hook command in settings text; returns the new text, or null if it is already there.
+// Throws when the settings have a shape the entry cannot be added to safely.
+function addHookEntry(text, event, matcher, command, unit) {
+  const root = jsonNode(text);
+  if (root.type !== 'object') throw new Error('the top level is not a JSON object');
+  const entry = { type: 'command', command };
+  const group = matcher ? { matcher, hooks: [entry] } : { hooks: [entry] };
+  const hooks = itemNamed(root, 'hooks');
+  if (!hooks) return insertItem(text, root, 'hooks', { [event]: [group] }, unit);
+  if (hooks.type !== 'object') throw new Error('"hooks" is not an object');
+  const groups = itemNamed(hooks, event);
+  if (!groups) return insertItem(text, hooks, event, [group], unit);
+  if (groups.type !== 'array') throw new Error(`"hooks.${event}" is not an array`);
+  const parsed = JSON.parse(text.slice(groups.start, groups.end));
+  if (getAllHookCommands({ hooks: { [event]: parsed } }).some(h => h.command === command)) return null;
+  const i = parsed.findIndex(g => isPlainObject(g) && (g.matcher ?? '') === matcher && Array.isArray(g.hooks));
+  if (i === -1) return insertItem(text, groups, undefined, group, unit);
+  return insertItem(text, itemNamed(groups.items[i].node, 'hooks'), undefined, entry, unit);
+}
+
+// Builds every file change --fix would make, without touching the disk
+function planFixes(results, ccDir) {
+  const failed = results.filter(r => !r.result.pass && !r.acceptedRisk && r.autofix);
+  const settingsPath = join(ccDir, 'settings.json');
+  const claudeMdPath = join(ccDir, 'CLAUDE.md');
+  const settingsText = existsSync(settingsPath) ? readFileSync(settingsPath, 'utf-8') : '';
+  const claudeMdText = existsSync(claudeMdPath) ? readFileSync(claudeMdPath, 'utf-8') : '';
+  // Only the new hook entries are inserted; every other line of settings.json stays as it is
+  if (settingsText.trim()) JSON.parse(settingsText);
+  const unit = settingsText.match(/^([ \t]+)"/m)?.[1] || '  ';
+  let newSettings = settingsText.trim() ? settingsText : '{}\n';
+  const files = [];
+  const applied = [];
+  let mdText = claudeMdText;
+
+  for (const r of failed) {
+    const { script, claudeMd } = r.autofix;
+    if (script) {
+      const tpl = FIX_SCRIPTS[script];
+      const scriptPath = join(ccDir, 'hooks', `${script}.sh`);
+      if (!existsSync(scriptPath) && !files.some(f => f.path === scriptPath)) {
+        files.push({ path: scriptPath, before: '', after: tpl.content, mode: 0o755 });
+      }
+      const patched = addHookEntry(newSettings, tpl.event, tpl.matcher, `~/.claude/hooks/${script}.sh`, unit);
+      if (patched !== null) {
+        newSettings = patched;
+        applied.push(`${tpl.event} hook ${script}.sh (${r.q})`);
+      }
+    }
+    if (claudeMd) {
+      const section = CLAUDE_MD_SECTIONS[claudeMd];
+      if (!mdText.includes(section.heading)) {
+        mdText = `${mdText}${mdText && !mdText.endsWith('\n') ? '\n' : ''}${mdText ? '\n' : ''}${section.heading}\n\n${section.body.join('\n')}\n`;
+        applied.push(`CLAUDE.md section "${section.heading.replace(/^#+ /, '')}"`);
+      }
+    }
+  }
+
+  if (newSettings !== settingsText && applied.some(a => !a.startsWith('CLAUDE.md'))) {
+    files.push({ path: settingsPath, before: settingsText, after: newSettings });
+  }
+  if (mdText !== claudeMdText) files.push({ path: claudeMdPath, before: claudeMdText, after: mdText });
+  return { files, applied };
+}
+
+function scoreInChildProcess(env) {
+  const args = ['--json', '--no-history', '--project', env.cwd, ...(env.home !== HOME ? ['--home', env.home] : [])];
+  const res = spawnSync(process.execPath, [fileURLToPath(import.meta.url), ...args], { encoding: 'utf-8' });
+  try {
+    return JSON.parse(res.stdout).score;
+  } catch {
+    return null;
+  }
+}
+
+function runFix(data, { dryRun }) {
+  console.log('');
+  console.log(`${c.bold}${c.cyan}  Claude Code Health Check — ${dryRun ? 'fix preview (--dry-run)' : 'fix'}${c.reset}`);
+  console.log(`${c.dim}  ═══════════════════════════════════════${c.reset}`);
+  console.log('');
+
+  let plan;
+  try {
+    plan = planFixes(data.results, data.env.ccDir);
+  } catch (err) {
+    // Nothing is written, so no guard script is left installed but unregistered
+    const action = err instanceof SyntaxError ? 'parse' : 'add hooks to';
+    console.log(`  ${FAIL} Cannot ${action} ${displayPath(join(data.env.ccDir, 'settings.json'))}: ${err.message}`);
+    console.log('');
+    return 1;
+  }
+  if (plan.files.length === 0) {
+    console.log(`  ${c.green}Nothing to fix automatically.${c.reset} Remaining failures need manual changes (see npx cc-health-check).`);
+    console.log('');
+    return 0;
+  }
+
+  for (const f of plan.files) {
+    const label = displayPath(f.path);
+    printDiff(unifiedDiff(f.before, f.after, f.before ? `a/${label}` : '/dev/null', `b/${label}`));
+  }
+  console.log(`  ${c.bold}Changes:${c.reset}`);
+  for (const a of plan.applied) console.log(`    ${c.yellow}+${c.reset} ${a}`);
+  console.log('');
+
+  if (dryRun) {
+    console.log(`  ${c.dim}Dry run — no files written. Re-run with --fix to apply.${c.reset}`);
+    console.log('');
+    return 0;
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  for (const f of plan.files) {
+    if (existsSync(f.path)) {
+      const backup = `${f.path}.bak-${stamp}`;
+      copyFileSync(f.path, backup);
+      console.log(`  ${c.dim}Backup: ${displayPath(backup)}${c.reset}`);
+    }
+  }
+  for (const f of plan.files) {
+    mkdirSync(dirname(f.path), { recursive: true });
+    writeFileSync(f.path, f.after, f.mode ? { mode: f.mode } : undefined);
+    console.log(`  ${PASS} Wrote ${displayPath(f.path)}`);
+  }
+
+  const after = scoreInChildProcess(data.env);
+  console.log('');
+  console.log(`  ${c.bold}Score: ${data.pct} → ${after ?? '?'}/100${c.reset}`);
+  console.log('');
+  return 0;
+}
+
+// ─── History, trend and baseline (--trend, --baseline) ───
+function settingsHash(env) {
+  const material = JSON.stringify({ settings: env.settings, claudeMd: env.claudeMd });
+  return createHash('sha256').update(material).digest('hex').slice(0, 12);
+}
+
+function historyRecord(data) {
+  return {
+    timestamp: new Date().toISOString(),
+    cwd: data.env.cwd,
+    score: data.pct,
+    grade: data.grade,
+    settingsHash: settingsHash(data.env),
+    dimensions: Object.fromEntries(Object.entries(data.dimTotals).map(([cat, total]) => [cat, percentOf(data.dimScores[cat], total)])),
+    checks: Object.fromEntries(data.results.map(r => [r.id, r.status])),
+  };
+}
+
+function recordHistory(data) {
+  try {
+    mkdirSync(dirname(HISTORY_PATH), { recursive: true });
+    appendFileSync(HISTORY_PATH, JSON.stringify(historyRecord(data)) + '\n');
+  } catch { /* read-only home, history is best-effort */ }
+}
+
+function readHistory(cwd) {
+  if (!existsSync(HISTORY_PATH)) return [];
+  return readFileSync(HISTORY_PATH, 'utf-8').split('\n').flatMap(line => {
+    try {
+      const rec = JSON.parse(line);
+      return isPlainObject(rec) && rec.cwd === cwd ? [rec] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function sparkline(values) {
+  const ticks = '▁▂▃▄▅▆▇█';
+  return values.map(v => (v == null ? ' ' : ticks[Math.min(7, Math.floor((v / 100) * 8))])).join('');
+}
+
+function printTrend(cwd, limit = 20) {
+  const runs = readHistory(cwd).slice(-limit);
+  console.log('');
+  console.log(`${c.bold}${c.cyan}  Claude Code Health Check — trend${c.reset}`);
+  console.log(`${c.dim}  ═══════════════════════════════════════${c.reset}`);
+  console.log(`${c.dim}  ${runs.length} run(s) for ${displayPath(cwd)} from ${displayPath(HISTORY_PATH)}${c.reset}`);
+  console.log('');
+  if (runs.length === 0) {
+    console.log('  No history yet. Run npx cc-health-check to record one.');
+    console.log('');
+    return;
+  }
+  const dims = [...new Set(runs.flatMap(r => Object.keys(r.dimensions || {})))];
+  const width = Math.max(5, ...dims.map(d => d.length));
+  const row = (label, values) => {
+    const known = values.filter(v => v != null);
+    const first = known[0];
+    const last = known[known.length - 1];
+    const delta = last - first;
+    const color = delta > 0 ? c.green : delta < 0 ? c.red : c.dim;
+    const sign = delta > 0 ? '+' : '';
+    console.log(`    ${label.padEnd(width)}  ${c.cyan}${sparkline(values)}${c.reset}  ${String(last).padStart(3)}%  ${color}(${sign}${delta})${c.reset}`);
+  };
+  row('Score', runs.map(r => r.score));
+  for (const dim of dims) row(dim, runs.map(r => r.dimensions?.[dim]));
+  console.log('');
+  console.log(`  ${c.bold}Recent runs:${c.reset}`);
+  let prevHash = null;
+  for (const r of runs.slice(-10)) {
+    const changed = prevHash && r.settingsHash !== prevHash ? `  ${c.yellow}settings changed${c.reset}` : '';
+    console.log(`    ${r.timestamp.slice(0, 16).replace('T', ' ')}  ${String(r.score).padStart(3)}/100  ${c.dim}${r.settingsHash}${c.reset}${changed}`);
+    prevHash = r.settingsHash;
+  }
+  console.log('');
+}
+
+// Statuses ranked from worst to best; an accepted risk ranks as passing
+const STATUS_RANK = { fail: 0, warn: 1, pass: 2, info: 2 };
+
+function statusRank(status, acceptedRisk) {
+  return acceptedRisk ? STATUS_RANK.pass : STATUS_RANK[status];
+}
+
+// Accepts a --json report or a history record as the baseline: { id: { status, acceptedRisk } }.
+// Reports and records written before statuses existed only say pass or fail.
+function loadBaseline(path) {
+  const base = readJSON(path);
+  if (!isPlainObject(base)) return null;
+  const status = value => (value in STATUS_RANK ? value : value ? 'pass' : 'fail');
+  if (Array.isArray(base.checks)) {
+    return Object.fromEntries(base.checks.filter(ch => ch.id)
+      .map(ch => [ch.id, { status: status(ch.status ?? ch.pass), acceptedRisk: Boolean(ch.acceptedRisk) }]));
+  }
+  if (!isPlainObject(base.checks)) return null;
+  return Object.fromEntries(Object.entries(base.checks).map(([id, value]) => [id, { status: status(value), acceptedRisk: false }]));
+}
+
+// Regressions fail the run: a check that passed in the baseline, or was an accepted risk, now
+// fails. Downgrades are any other change for the worse (pass → warn, warn → fail, info → warn)
+// and are only reported. Fixed: better than in the baseline.
+function compareBaseline(data, file, baseChecks) {
+  const pairs = data.results.filter(r => baseChecks[r.id]).map(r => [baseChecks[r.id], r]);
+  const rank = r => statusRank(r.status, r.acceptedRisk);
+  const regressed = ([b, r]) => (b.status === 'pass' || b.acceptedRisk) && rank(r) === STATUS_RANK.fail;
+  const change = ([b, r]) => ({ id: r.id, check: r.q, from: b.acceptedRisk ? 'accepted' : b.status, status: r.status, detail: r.result.detail });
+  return {
+    file,
+    regressions: pairs.filter(regressed).map(change),
+    downgrades: pairs.filter(p => !regressed(p) && rank(p[1]) < rank(p[0])).map(change),
+    fixed: pairs.filter(([b, r]) => rank(r) > rank(b))
+      .map(([b, r]) => ({ id: r.id, check: r.q, from: b.status, status: r.status })),
+  };
+}
+
+function printBaseline(baseline) {
+  console.log(`  ${c.bold}${t('comparedToBaseline')}${c.reset} ${c.dim}${displayPath(baseline.file)}${c.reset}`);
+  if (baseline.regressions.length === 0) console.log(`    ${c.green}${t('noRegressions')}${c.reset}`);
+  for (const r of [...baseline.regressions, ...baseline.downgrades]) {
+    console.log(`    ${baseline.regressions.includes(r) ? FAIL : WARN} ${t.q(r.id, r.check)} ${c.dim}(${r.id}, ${r.from} → ${r.status})${c.reset}`);
+    console.log(`         ${c.dim}${t.detail(r.detail)}${c.reset}`);
+  }
+  for (const r of baseline.fixed) {
+    console.log(`    ${{ warn: WARN, info: INFO }[r.status] ?? PASS} ${t.q(r.id, r.check)} ${c.dim}(${r.id}, ${r.from} → ${r.status})${c.reset}`);
+  }
+  console.log('');
+}
+
+// ─── Compare with a git ref (--compare) ───
+// The base side is a temporary worktree at the ref, scored with the same home and options
+// Files git ignores are copied to the base side, so only committed changes show up
+const LOCAL_FILES = [join('.claude', 'settings.local.json'), 'CLAUDE.local.md'];
+
+function git(cwd, args) {
+  const res = spawnSync('git', ['-C', cwd, ...args], { encoding: 'utf-8' });
+  return res.status === 0 ? res.stdout.trim() : null;
+}
+
+async function scoreAtRef(env, ref, options) {
+  const top = git(env.cwd, ['rev-parse', '--show-toplevel']);
+  if (top === null) throw new Error(`${displayPath(env.cwd)} is not in a git repository`);
+  if (!git(top, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])) throw new Error(`unknown git ref "${ref}"`);
+  const prefix = git(env.cwd, ['rev-parse', '--show-prefix']);
+  const dir = mkdtempSync(join(tmpdir(), 'cc-health-compare-'));
+  try {
+    if (git(top, ['worktree', 'add', '--detach', '--quiet', dir, ref]) === null) throw new Error(`cannot check out ${ref} in a worktree`);
+    const cwd = join(dir, prefix);
+    for (const f of LOCAL_FILES) {
+      if (existsSync(join(env.cwd, f)) && !existsSync(join(cwd, f))) {
+        mkdirSync(dirname(join(cwd, f)), { recursive: true });
+        copyFileSync(join(env.cwd, f), join(cwd, f));
+      }
+    }
+    return runChecks(await loadEnvironment({ ...options, cwd }));
+  } finally {
+    git(top, ['worktree', 'remove', '--force', dir]);
+    rmSync(dir, { recursive: true, force: true });
+    git(top, ['worktree', 'prune']);
+  }
+}
+
+// Newly failing: worse than at the base ref (pass → warn → fail); fixed: better
+function compareRuns(data, base, ref) {
+  const before = new Map(base.results.map(r => [r.id, r]));
+  const rank = r => statusRank(r.status, r.acceptedRisk);
+  const pairs = data.results.filter(r => before.has(r.id)).map(r => [before.get(r.id), r]);
+  const dimPct = (d, cat) => (d.dimTotals[cat] > 0 ? percentOf(d.dimScores[cat], d.dimTotals[cat]) : null);
+  return {
+    ref,
+    base: { score: base.pct, grade: base.grade },
+    scoreDelta: data.pct - base.pct,
+    dimensions: Object.fromEntries(Object.keys(data.dimTotals).map(cat => [cat, { base: dimPct(base, cat), head: dimPct(data, cat) }])),
+    newlyFailing: pairs.filter(([b, h]) => rank(h) < rank(b))
+      .map(([b, h]) => ({ id: h.id, check: h.q, from: b.status, status: h.status, detail: h.result.detail })),
+    fixed: pairs.filter(([b, h]) => rank(h) > rank(b))
+      .map(([b, h]) => ({ id: h.id, check: h.q, from: b.status, status: h.status })),
+  };
+}
+
+function printCompare(compare, pct) {
+  console.log(`  ${c.bold}${t('comparedTo', compare.ref)}${c.reset}  ${t('scoreChange', compare.base.score, pct, signed(compare.scoreDelta))}`);
+  if (compare.newlyFailing.length === 0) console.log(`    ${c.green}${t('noRegressions')}${c.reset}`);
+  for (const r of compare.newlyFailing) {
+    console.log(`    ${r.status === 'warn' ? WARN : FAIL} ${t.q(r.id, r.check)} ${c.dim}(${r.id}, ${r.from} → ${r.status})${c.reset}`);
+    console.log(`         ${c.dim}${t.detail(r.detail)}${c.reset}`);
+  }
+  for (const r of compare.fixed) {
+    console.log(`    ${{ warn: WARN, info: INFO }[r.status] ?? PASS} ${t.q(r.id, r.check)} ${c.dim}(${r.id}, ${r.from} → ${r.status})${c.reset}`);
+  }
+  console.log('');
+}
+
+// ─── Team policy (--policy) ───
+function printPolicy(policy) {
+  console.log(`  ${c.bold}${t('policyTitle')}${c.reset} ${c.dim}${displayPath(policy.file)}${c.reset}`);
+  if (policy.compliant) console.log(`    ${PASS} ${t('policyMet', policy.requirements)}`);
+  for (const v of policy.violations) {
+    console.log(`    ${FAIL} ${t.detail(v.message)}`);
+    console.log(`         ${c.yellow}→${c.reset} ${t.detail(v.remediation)}`);
+  }
+  if (!policy.compliant) console.log(`    ${c.red}${t('policyViolations', policy.violations.length, policy.requirements)}${c.reset}`);
+  console.log('');
+}
+
+// ─── Multiple projects (--project, --recursive) ───
+// A project is any directory with its own .claude/ or CLAUDE.md
+function findProjects(root, maxDepth = 6, depth = 0) {
+  let entries;
+  try {
+    entries = readdirSync(root, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const found = entries.some(e => e.name === '.claude' || e.name === 'CLAUDE.md') ? [root] : [];
+  if (depth >= maxDepth) return found;
+  for (const e of entries) {
+    if (e.isDirectory() && !e.name.startsWith('.') && e.name !== 'node_modules') {
+      found.push(...findProjects(join(root, e.name), maxDepth, depth + 1));
+    }
+  }
+  return found;
+}
+
+function summarizeProjects(runs) {
+  const failing = new Map();
+  for (const d of runs) {
+    for (const r of d.results.filter(r => !r.result.pass && !r.acceptedRisk)) {
+      const entry = failing.get(r.id) || { id: r.id, check: r.q, weight: r.w, count: 0 };
+      entry.count++;
+      failing.set(r.id, entry);
+    }
+  }
+  return {
+    projects: runs.length,
+    average: Math.round(runs.reduce((sum, d) => sum + d.pct, 0) / runs.length),
+    weakest: [...runs].sort((a, b) => a.pct - b.pct).map(d => ({ project: d.env.cwd, score: d.pct, grade: d.grade })),
+    failing: [...failing.values()].sort((a, b) => b.count - a.count || b.weight - a.weight || a.id.localeCompare(b.id)),
+  };
+}
+
+function printProjectsJSON(runs) {
+  const output = {
+    version: '1.0',
+    projects: runs.map(d => ({ project: d.env.cwd, ...jsonReport(d) })),
+    summary: summarizeProjects(runs),
+  };
+  console.log(JSON.stringify(output, null, 2));
+}
+
+function printProjects(runs) {
+  const summary = summarizeProjects(runs);
+  const width = Math.max(...summary.weakest.map(p => t.grade(p.grade).length));
+  console.log('');
+  console.log(`${c.bold}${c.cyan}  Claude Code Health Check v${packageVersion()} — ${t('projects', runs.length)}${c.reset}`);
+  console.log(`${c.dim}  ═══════════════════════════════════════${c.reset}`);
+  console.log(`${c.dim}  ${t('scanning', runs[0].env.ccDir)}${c.reset}`);
+  console.log('');
+  console.log(`  ${c.bold}${t('weakestProjects')}${c.reset}`);
+  for (const [i, p] of summary.weakest.entries()) {
+    const d = runs.find(r => r.env.cwd === p.project);
+    let color = c.green;
+    if (p.score < d.env.grades.productionReady) color = c.yellow;
+    if (p.score < d.env.grades.gettingThere) color = c.red;
+    console.log(`    ${String(i + 1).padStart(2)}. ${color}${String(p.score).padStart(3)}/100${c.reset}  ${t.grade(p.grade).padEnd(width)}  ${displayPath(p.project)}`);
+  }
+  console.log('');
+  if (summary.failing.length > 0) {
+    console.log(`  ${c.bold}${t('commonFailures')}${c.reset}`);
+    for (const f of summary.failing.slice(0, 10)) {
+      console.log(`    ${c.yellow}${String(f.count).padStart(3)}/${runs.length}${c.reset}  ${t.q(f.id, f.check)} ${c.dim}(${f.id})${c.reset}`);
+    }
+  } else {
+    console.log(`  ${c.green}${c.bold}${t('noFailuresAnywhere')}${c.reset}`);
+  }
+  console.log('');
+  console.log(`  ${c.bold}${t('average', summary.average)}${c.reset}  ${c.dim}${t('projectDetails')}${c.reset}`);
+  console.log('');
+}
+
+// ─── Explain one check (--explain) ───
+function printExplain(data, id) {
+  const r = data.results.find(x => x.id === id);
+  const icon = statusIcon(r);
+  const confidence = r.result.confidence ? ` · ${t('confidence', r.result.confidence)}` : '';
+  const where = e => (e.file ? `${displayPath(e.file)}${e.line ? `:${e.line}` : ''}  ` : '');
+  const list = (title, items, mark) => {
+    if (items.length === 0) return;
+    console.log('');
+    console.log(`  ${c.bold}${title}${c.reset}`);
+    for (const e of items) console.log(`    ${mark} ${c.dim}${e.kind.padEnd(8)}${c.reset} ${where(e)}${e.text}`);
+  };
+
+  console.log('');
+  console.log(`  ${c.bold}${r.id}${c.reset}  ${t.q(r.id, r.q)}`);
+  console.log(`  ${c.dim}${t.dim(r.cat)} · ${t('weight', r.w)}${confidence}${c.reset}`);
+  console.log('');
+  console.log(`  ${icon} ${t.detail(r.result.detail)}`);
+  if (r.acceptedRisk) console.log(`  ${c.yellow}${t('acceptedRisk')}${c.reset} ${r.acceptedRisk}`);
+  list(t('matched'), r.evidence.filter(e => e.matched), `${c.green}✓${c.reset}`);
+  list(t('notFound'), r.evidence.filter(e => !e.matched), `${c.dim}✗${c.reset}`);
+  for (const note of r.result.runtime || []) console.log(`\n  ${c.cyan}${t('runtime')}${c.reset} ${t.detail(note)}`);
+  if (!r.result.pass && r.fix) {
+    console.log('');
+    console.log(`  ${c.yellow}→${c.reset} ${t.fix(r.id, r.fix)}`);
+  }
+  console.log('');
 }
 
 // ─── Main ───
-const jsonMode = process.argv.includes('--json');
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  if (i >= 0) return process.argv[i + 1];
+  return process.argv.find(a => a.startsWith(`${name}=`))?.slice(name.length + 1);
+}
+
+function argValues(name) {
+  return process.argv.flatMap((a, i) => {
+    if (a === name) return process.argv[i + 1] !== undefined ? [process.argv[i + 1]] : [];
+    return a.startsWith(`${name}=`) ? [a.slice(name.length + 1)] : [];
+  });
+}
+
+const FORMATS = { sarif: printSARIF, junit: printJUnit, markdown: printMarkdown };
+const format = argValue('--format');
+if (format !== undefined && !FORMATS[format] && format !== 'json') {
+  console.error(`Unknown --format "${format}". Use one of: json, ${Object.keys(FORMATS).join(', ')}`);
+  process.exit(2);
+}
+const jsonMode = process.argv.includes('--json') || format === 'json';
+// Terminal output only; --json, SARIF, JUnit and --html keep the English check text
+const lang = detectLang(argValue('--lang'), process.env);
+if (!LANGS.includes(lang)) {
+  console.error(`Unknown --lang "${lang}". Use one of: ${LANGS.join(', ')}`);
+  process.exit(2);
+}
+const t = translator(lang);
 const badgeMode = process.argv.includes('--badge');
-const data = runChecks();
-if (jsonMode) {
+const fixMode = process.argv.includes('--fix') || process.argv.includes('--dry-run');
+const trendMode = process.argv.includes('--trend');
+const baselinePath = argValue('--baseline');
+const policyPath = argValue('--policy');
+const compareRef = argValue('--compare');
+const explainId = argValue('--explain');
+const htmlPath = argValue('--html');
+const homeArg = argValue('--home');
+const evidenceDays = argValue('--days') === undefined ? undefined : Number(argValue('--days'));
+if (evidenceDays !== undefined && !(evidenceDays > 0)) {
+  console.error(`--days expects a positive number of days, got "${argValue('--days')}"`);
+  process.exit(2);
+}
+const projectArgs = argValues('--project').map(p => resolve(p));
+const roots = projectArgs.length > 0 ? projectArgs : [process.cwd()];
+const projects = process.argv.includes('--recursive')
+  ? [...new Set(roots.flatMap(root => findProjects(root)))]
+  : [...new Set(roots)];
+if (projects.length === 0) {
+  console.error(`No directories with .claude/ or CLAUDE.md found under ${roots.map(displayPath).join(', ')}`);
+  process.exit(2);
+}
+for (const dir of [homeArg, ...projects].filter(Boolean)) {
+  if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+    console.error(`Not a directory: ${dir}`);
+    process.exit(2);
+  }
+}
+
+// Managed settings belong to this machine, so they are skipped when auditing another home
+const envOptions = {
+  home: homeArg ? resolve(homeArg) : HOME,
+  managed: !homeArg,
+  probe: process.argv.includes('--probe'),
+};
+const envs = [];
+for (const cwd of projects) {
+  const env = await loadEnvironment({
+    ...envOptions,
+    cwd,
+    evidence: process.argv.includes('--evidence') && { days: evidenceDays },
+  });
+  for (const msg of env.warnings) console.error(`${WARN} ${msg}`);
+  envs.push(env);
+}
+
+if (envs.length > 1) {
+  const single = [['--fix', fixMode], ['--format', FORMATS[format]], ['--badge', badgeMode], ['--baseline', baselinePath], ['--policy', policyPath], ['--compare', compareRef], ['--trend', trendMode], ['--explain', explainId], ['--html', htmlPath]]
+    .find(([, on]) => on);
+  if (single) {
+    console.error(`${single[0]} works on one project at a time; ${envs.length} projects selected`);
+    process.exit(2);
+  }
+  const runs = envs.map(runChecks);
+  if (!process.argv.includes('--no-history')) runs.forEach(recordHistory);
+  if (jsonMode) printProjectsJSON(runs);
+  else printProjects(runs);
+  process.exit(runs.every(d => d.pct >= d.env.failUnder) ? 0 : 1);
+}
+
+const data = runChecks(envs[0]);
+if (explainId !== undefined) {
+  const r = data.results.find(x => x.id === explainId);
+  if (!r) {
+    console.error(`Unknown check "${explainId}". Check IDs are listed as "id" in --json`);
+    process.exit(2);
+  }
+  if (jsonMode) console.log(JSON.stringify(jsonReport(data).checks.find(x => x.id === explainId), null, 2));
+  else printExplain(data, explainId);
+  process.exit(r.result.pass || r.acceptedRisk ? 0 : 1);
+}
+// --fix and --trend runs are not scoring runs, so they are left out of the history
+if (!fixMode && !trendMode && !process.argv.includes('--no-history')) recordHistory(data);
+if (baselinePath) {
+  const baseChecks = loadBaseline(baselinePath);
+  if (!baseChecks) {
+    console.error(`Cannot read baseline ${baselinePath}: expected a --json report or history record`);
+    process.exit(2);
+  }
+  data.baseline = compareBaseline(data, resolve(baselinePath), baseChecks);
+}
+if (compareRef !== undefined) {
+  try {
+    data.compare = compareRuns(data, await scoreAtRef(data.env, compareRef, envOptions), compareRef);
+  } catch (err) {
+    console.error(`Cannot compare with ${compareRef}: ${err.message}`);
+    process.exit(2);
+  }
+}
+if (policyPath) {
+  const policy = readJSON(policyPath);
+  if (!isPlainObject(policy)) {
+    console.error(`Cannot read policy ${policyPath}: expected a JSON object`);
+    process.exit(2);
+  }
+  data.policy = { file: resolve(policyPath), ...checkPolicy(policy, data) };
+  for (const msg of data.policy.warnings) console.error(`${WARN} ${msg}`);
+}
+if (htmlPath) {
+  writeFileSync(htmlPath, htmlReport(data));
+  console.error(`${c.dim}HTML report written to ${resolve(htmlPath)}${c.reset}`);
+}
+if (trendMode) {
+  printTrend(data.env.cwd);
+  process.exit(0);
+}
+if (fixMode) {
+  process.exit(runFix(data, { dryRun: process.argv.includes('--dry-run') }));
+} else if (FORMATS[format]) {
+  FORMATS[format](data);
+} else if (jsonMode) {
   printJSON(data);
 } else if (badgeMode) {
   printBadge(data);
 } else {
   printHuman(data);
+  if (data.baseline) printBaseline(data.baseline);
+  if (data.compare) printCompare(data.compare, data.pct);
+  if (data.policy) printPolicy(data.policy);
+}
+// Any policy violation fails the run, whatever the score
+if (data.policy && !data.policy.compliant) process.exit(1);
+// With a baseline or a base ref, only checks that regressed fail the run
+if (data.baseline || data.compare) {
+  process.exit(data.baseline?.regressions.length > 0 || data.compare?.newlyFailing.length > 0 ? 1 : 0);
 }
-process.exit(data.pct >= 60 ? 0 : 1);
+process.exit(data.pct >= data.env.failUnder ? 0 : 1);
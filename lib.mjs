@@ -0,0 +1,201 @@
+// cc-health-check — scoring engine
+// Runs the checks in checks.mjs against the real filesystem: this module is the Node
+// host (files, PATH, syntax checkers and the --probe sandbox). Importing it reads
+// nothing from disk; the CLI (cli.mjs) and other tools call runHealthCheck() or the pieces below.
+
+import { readFileSync, readdirSync, statSync, mkdtempSync, rmSync, accessSync, constants } from 'node:fs';
+import { join, resolve, dirname, delimiter } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { homedir, tmpdir } from 'node:os';
+import { spawnSync } from 'node:child_process';
+import {
+  loadEnvironment as loadHostEnvironment, runChecks, jsonReport, coverageMatrix, checkPolicy, listChecks, virtualHost, setDisplayHome,
+  readJSON as readHostJSON, displayPath, isPlainObject, getAllHookCommands, percentOf,
+} from './checks.mjs';
+
+const HOME = homedir();
+setDisplayHome(HOME);
+
+// ─── Behavioral probe (--probe) ───
+// Feeds synthetic tool calls to PreToolUse hooks and records which ones are
+// actually blocked, instead of trusting keywords in the hook command.
+const PROBE_CASES = [
+  { label: 'rm -rf /', tool_name: 'Bash', tool_input: { command: 'rm -rf /' } },
+  { label: 'rm -rf ~', tool_name: 'Bash', tool_input: { command: 'rm -rf ~' } },
+  { label: 'git push --force origin main', tool_name: 'Bash', tool_input: { command: 'git push --force origin main' } },
+  { label: 'git reset --hard', tool_name: 'Bash', tool_input: { command: 'git reset --hard HEAD~5' } },
+  { label: 'DROP TABLE', tool_name: 'Bash', tool_input: { command: 'psql -c "DROP TABLE users;"' } },
+];
+const PROBE_TIMEOUT_MS = 5000;
+
+function isBlockingOutput(stdout) {
+  try {
+    const out = JSON.parse(stdout.trim());
+    return out?.hookSpecificOutput?.permissionDecision === 'deny' ||
+      out?.decision === 'block' || out?.decision === 'deny';
+  } catch {
+    return false;
+  }
+}
+
+function runProbe(command, probeCase, sandbox, home) {
+  // Resolve the user's home before swapping HOME, so hook scripts are still found
+  const cmd = command
+    .replace(/(^|[\s="'])~(?=\/)/g, `$1${home}`)
+    .replace(/\$\{?HOME\}?/g, home);
+  const input = JSON.stringify({
+    session_id: 'cc-health-check-probe',
+    transcript_path: join(sandbox, 'transcript.jsonl'),
+    cwd: sandbox,
+    hook_event_name: 'PreToolUse',
+    tool_name: probeCase.tool_name,
+    tool_input: probeCase.tool_input,
+  });
+  const res = spawnSync(cmd, {
+    shell: true,
+    input,
+    cwd: sandbox,
+    encoding: 'utf-8',
+    timeout: PROBE_TIMEOUT_MS,
+    env: { ...process.env, HOME: sandbox, CLAUDE_PROJECT_DIR: sandbox },
+  });
+  if (res.error) return { blocked: false, error: res.error.code || res.error.message };
+  return { blocked: res.status === 2 || isBlockingOutput(res.stdout || ''), exit: res.status };
+}
+
+function probeHooks(preHooks, home) {
+  const sandbox = mkdtempSync(join(tmpdir(), 'cc-health-probe-'));
+  try {
+    return PROBE_CASES.map(pc => {
+      let blockedBy = null;
+      const errors = [];
+      for (const h of preHooks) {
+        const r = runProbe(h.command, pc, sandbox, home);
+        if (r.error) errors.push(`${h.command}: ${r.error}`);
+        if (r.blocked) { blockedBy = h.command; break; }
+      }
+      return { command: pc.label, blocked: Boolean(blockedBy), blockedBy, errors };
+    });
+  } finally {
+    rmSync(sandbox, { recursive: true, force: true });
+  }
+}
+
+// ─── Hook scripts ───
+// py_compile would write a .pyc next to the script, so compile() in memory instead
+const SYNTAX_CHECKS = {
+  bash: path => ({ label: 'bash -n', cmd: 'bash', args: ['-n', path] }),
+  sh: path => ({ label: 'sh -n', cmd: 'sh', args: ['-n', path] }),
+  zsh: path => ({ label: 'zsh -n', cmd: 'zsh', args: ['-n', path] }),
+  node: path => ({ label: 'node --check', cmd: process.execPath, args: ['--check', path] }),
+  python: path => ({
+    label: 'python compile',
+    cmd: 'python3',
+    args: ['-c', 'import sys; compile(open(sys.argv[1], "rb").read(), sys.argv[1], "exec")', path],
+  }),
+};
+
+function isExecutable(path) {
+  try {
+    accessSync(path, constants.X_OK);
+    return statSync(path).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function onPath(tool) {
+  if (tool.includes('/')) return isExecutable(tool);
+  return (process.env.PATH || '').split(delimiter).some(dir => dir && isExecutable(join(dir, tool)));
+}
+
+function syntaxError(kind, script) {
+  const check = SYNTAX_CHECKS[kind]?.(script);
+  if (!check || (check.cmd !== process.execPath && !onPath(check.cmd))) return null;
+  const res = spawnSync(check.cmd, check.args, { encoding: 'utf-8', timeout: PROBE_TIMEOUT_MS });
+  if (res.error || res.status === 0) return null;
+  const lines = (res.stderr || '').split('\n').map(l => l.replace(`${script}: `, '').trim()).filter(Boolean);
+  return `fails ${check.label}: ${lines.filter(l => /error/i.test(l)).pop() || lines[0] || `exit ${res.status}`}`;
+}
+
+// ─── Node host ───
+// The host interface is described in checks.mjs. Unreadable files and directories
+// (permission denied) read as missing.
+function stat(path) {
+  try {
+    const s = statSync(path);
+    return { file: s.isFile(), dir: s.isDirectory(), mtimeMs: s.mtimeMs, size: s.size };
+  } catch {
+    return null;
+  }
+}
+
+const nodeHost = {
+  join,
+  resolve,
+  dirname,
+  platform: process.platform,
+  read(path) {
+    try {
+      return readFileSync(path, 'utf-8');
+    } catch {
+      return null;
+    }
+  },
+  stat,
+  // Symlinks are followed, like stat
+  list(dir) {
+    try {
+      return readdirSync(dir, { withFileTypes: true }).map(e => (e.isSymbolicLink()
+        ? { name: e.name, file: false, dir: false, ...stat(join(dir, e.name)) }
+        : { name: e.name, file: e.isFile(), dir: e.isDirectory() }));
+    } catch {
+      return [];
+    }
+  },
+  executable: isExecutable,
+  onPath,
+  syntax: syntaxError,
+  probe: probeHooks,
+  importModule: path => import(pathToFileURL(path).href),
+};
+
+function readJSON(path) {
+  return readHostJSON(nodeHost, path);
+}
+
+// ─── Public API ───
+/**
+ * Loads one home + project for runChecks(). Options: home, cwd, settings, claudeMd,
+ * checks, probe, evidence, managed, and files: a { path: text } map ("~/" for the home)
+ * that replaces the filesystem, as in the web version.
+ */
+function loadEnvironment({ home = HOME, cwd = process.cwd(), files, ...options } = {}) {
+  const host = files ? virtualHost(files, home) : nodeHost;
+  return loadHostEnvironment({ ...options, host, home, cwd });
+}
+
+/**
+ * Scores one home + project and returns the same object as `cc-health-check --json`.
+ * Takes the same options as loadEnvironment().
+ */
+async function runHealthCheck(options = {}) {
+  return jsonReport(runChecks(await loadEnvironment(options)));
+}
+
+export {
+  runHealthCheck,
+  listChecks,
+  loadEnvironment,
+  runChecks,
+  jsonReport,
+  coverageMatrix,
+  checkPolicy,
+  // Helpers shared with the CLI
+  HOME,
+  readJSON,
+  displayPath,
+  isPlainObject,
+  getAllHookCommands,
+  percentOf,
+};
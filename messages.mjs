@@ -0,0 +1,476 @@
+// cc-health-check — message catalog for the CLI's terminal output
+// Same idea as the web version's T = { en, ja } table. English check text lives with the
+// checks in checks.mjs; other languages add it here by check ID. --json, SARIF and JUnit
+// never go through this catalog, so machine-readable output stays language-neutral.
+
+const LANGS = ['en', 'ja'];
+
+// Chapter slugs of the book (written in Japanese), by dimension; free chapters are marked
+const BOOK_CHAPTERS = {
+  'Safety Guards': { ch: '2-safety-guards', free: true },
+  'Code Quality': { ch: '3-code-quality', free: false },
+  'Monitoring': { ch: '4-monitoring', free: false },
+  'Recovery': { ch: '5-recovery', free: false },
+  'Autonomy': { ch: '6-autonomy', free: false },
+  'Coordination': { ch: '7-coordination', free: false },
+};
+
+const T = {
+  en: {
+    scanning: dir => `Scanning: ${dir}`,
+    config: path => `Config: ${path}`,
+    settingsNone: 'Settings: none found',
+    settingsLayer: (scope, path, n, ignored) => `Settings (${scope}): ${path} — ${n} hook(s)${ignored ? ', hooks ignored: allowManagedHooksOnly' : ''}`,
+    evidence: (ev, dir) => `Evidence: ${ev.sessions} session(s) in ${ev.files} transcript(s) from the last ${ev.days} days in ${dir}${ev.skippedLines > 0 ? `, ${ev.skippedLines} corrupt line(s) skipped` : ''}`,
+    acceptedRisk: 'Accepted risk:',
+    from: 'from:',
+    runtime: 'runtime:',
+    probe: 'probe:',
+    blocked: 'blocked',
+    allowed: 'allowed',
+    hookCoverage: 'Hook coverage:',
+    score: 'Score:',
+    points: (earned, total, na) => `(${earned}/${total} points${na ? `, ${na} check(s) not applicable` : ''})`,
+    capped: (score, ids) => `Capped from ${score}: a kill switch turns safety off (${ids})`,
+    dimensions: 'Dimensions:',
+    notApplicable: 'n/a',
+    topFixes: 'Top fixes:',
+    readMore: 'Read how to fix your weak areas (in Japanese):',
+    free: '(free)',
+    chapters: {
+      'Safety Guards': 'Safety Guards — the four checks to fix first',
+      'Code Quality': 'Code Quality — catch syntax errors automatically',
+      'Monitoring': 'Monitoring — know what the AI is doing',
+      'Recovery': 'Recovery — bounce back from failures',
+      'Autonomy': 'Autonomy — let Claude Code decide and act on its own',
+      'Coordination': 'Coordination — make several agents work together',
+    },
+    tokenBook: 'Token optimization — how CLAUDE.md wording changes token use 2-3x',
+    quickFix: 'Quick fix:',
+    quickFixNote: '(8 safety hooks in 10 seconds)',
+    allHooks: 'All hooks:',
+    allHooksNote: '(browse 655 hooks)',
+    noOpenFailures: n => `No open failures (${n} accepted risk(s)).`,
+    allPassed: n => `All ${n} applicable checks passed! Your setup is production-ready.`,
+    starUs: 'Like this tool? ⭐ https://github.com/yurukusa/cc-health-check',
+    share: (pct, dims) => `Share: "My Claude Code Health Score: ${pct}/100 (${dims})" #ClaudeCode`,
+    comparedToBaseline: 'Compared to baseline',
+    noRegressions: 'No regressions.',
+    comparedTo: ref => `Compared to ${ref}`,
+    scoreChange: (from, to, delta) => `Score: ${from} → ${to} (${delta})`,
+    policyTitle: 'Policy compliance',
+    policyMet: n => `All ${n} requirement(s) met`,
+    policyViolations: (v, n) => `${v} of ${n} requirement(s) violated`,
+    weight: w => `weight ${w}`,
+    confidence: level => `${level} confidence`,
+    matched: 'Matched:',
+    notFound: 'Looked for, not found:',
+    projects: n => `${n} projects`,
+    weakestProjects: 'Weakest projects:',
+    commonFailures: 'Most common failures:',
+    noFailuresAnywhere: 'No open failures in any project.',
+    average: avg => `Average: ${avg}/100`,
+    projectDetails: 'Details: npx cc-health-check --project <dir>',
+  },
+  ja: {
+    scanning: dir => `スキャン対象: ${dir}`,
+    config: path => `設定ファイル: ${path}`,
+    settingsNone: 'settings: 見つかりません',
+    settingsLayer: (scope, path, n, ignored) => `settings (${scope}): ${path} — フック ${n} 件${ignored ? '、allowManagedHooksOnly によりフックは無視' : ''}`,
+    evidence: (ev, dir) => `実績: ${dir} の直近 ${ev.days} 日分、トランスクリプト ${ev.files} 件・${ev.sessions} セッション${ev.skippedLines > 0 ? `、壊れた行 ${ev.skippedLines} 件をスキップ` : ''}`,
+    acceptedRisk: '許容済みリスク:',
+    from: '定義元:',
+    runtime: '実行時:',
+    probe: 'プローブ:',
+    blocked: 'ブロック',
+    allowed: '許可',
+    hookCoverage: 'フックのカバー範囲:',
+    score: 'スコア:',
+    points: (earned, total, na) => `(${earned}/${total} 点${na ? `、対象外のチェック ${na} 件` : ''})`,
+    capped: (score, ids) => `${score} 点から上限を適用: 安全策を無効にする設定があります (${ids})`,
+    dimensions: 'ディメンション:',
+    notApplicable: '対象外',
+    topFixes: '優先して直す項目:',
+    readMore: '弱いディメンションの直し方:',
+    free: '(無料)',
+    chapters: {
+      'Safety Guards': 'Safety Guards — 最初に直すべき4つのチェック',
+      'Code Quality': 'Code Quality — 構文エラーを自動で防ぐ',
+      'Monitoring': 'Monitoring — AIが何をしているかを知る',
+      'Recovery': 'Recovery — 失敗から回復する仕組み',
+      'Autonomy': 'Autonomy — CCが自分で判断して動く仕組み',
+      'Coordination': 'Coordination — 複数エージェントが協調する仕組み',
+    },
+    tokenBook: 'Token optimization — CLAUDE.mdの書き方でトークン消費が2-3倍変わる',
+    quickFix: 'すぐ直す:',
+    quickFixNote: '(10秒で安全フック8個)',
+    allHooks: '全フック:',
+    allHooksNote: '(655個のフックを見る)',
+    noOpenFailures: n => `未対応の失敗はありません（許容済みリスク ${n} 件）。`,
+    allPassed: n => `該当する ${n} 件のチェックにすべて合格！本番運用できる状態です。`,
+    starUs: '気に入ったら ⭐ https://github.com/yurukusa/cc-health-check',
+    share: (pct, dims) => `シェア: 「My Claude Code Health Score: ${pct}/100 (${dims})」 #ClaudeCode`,
+    comparedToBaseline: 'ベースラインとの比較',
+    noRegressions: '悪化したチェックはありません。',
+    comparedTo: ref => `${ref} との比較`,
+    scoreChange: (from, to, delta) => `スコア: ${from} → ${to} (${delta})`,
+    policyTitle: 'ポリシー準拠',
+    policyMet: n => `要件 ${n} 件をすべて満たしています`,
+    policyViolations: (v, n) => `要件 ${n} 件中 ${v} 件に違反`,
+    weight: w => `重み ${w}`,
+    confidence: level => `確度: ${{ high: '高', medium: '中', low: '低' }[level] ?? level}`,
+    matched: '一致したもの:',
+    notFound: '探したが見つからなかったもの:',
+    projects: n => `${n} プロジェクト`,
+    weakestProjects: 'スコアの低いプロジェクト:',
+    commonFailures: 'よくある失敗:',
+    noFailuresAnywhere: 'どのプロジェクトにも未対応の失敗はありません。',
+    average: avg => `平均: ${avg}/100`,
+    projectDetails: '詳細: npx cc-health-check --project <dir>',
+    // Kept in English, as in the web version
+    grades: { 'Production Ready': 'Production Ready', 'Getting There': 'Getting There', 'Needs Work': 'Needs Work', 'Critical': 'Critical' },
+    dims: {
+      'Safety Guards': 'Safety Guards', 'Permissions': 'Permissions', 'Code Quality': 'Code Quality', 'Monitoring': 'Monitoring',
+      'Recovery': 'Recovery', 'Autonomy': 'Autonomy', 'Coordination': 'Coordination', 'MCP Servers': 'MCP Servers',
+      'Memory Hygiene': 'Memory Hygiene', 'Custom': 'Custom',
+    },
+    checks: {
+      'safety-destructive-guard': {
+        q: 'PreToolUse フックが危険なコマンド（rm -rf、git reset --hard）をブロックする',
+        fix: '破壊的なコマンドをブロックする PreToolUse フックを追加してください。シェルスクリプト1本で rm -rf、force push、データベースの削除を止められます。',
+      },
+      'safety-secrets': {
+        q: 'API キーは専用ファイルにあり、CLAUDE.md・settings・フック・MCP 設定に直書きされていない',
+        fix: 'API キーを CLAUDE.md、settings の env、フックスクリプト、.mcp.json から ~/.credentials か環境変数に移し、キーをローテーションしてください。',
+      },
+      'safety-branch-protection': {
+        q: 'レビューなしで main/master に push できないようになっている',
+        fix: 'git push の前に対象ブランチを確認する PreToolUse フックを追加し、main/master への直接 push をブロックしてください。',
+      },
+      'safety-error-gate': {
+        q: 'エラーが残っている間は外部への操作をゲートで止める',
+        fix: '未解決のエラーがある間は公開や push をさせないエラートラッカーを追加してください。',
+      },
+      'safety-hooks-runnable': {
+        q: 'すべてのフックが動く: スクリプトがあり、実行可能で、構文が正しく、使うツールが入っている',
+        fix: '壊れたフックを直すか削除してください。消えたスクリプトを戻し、chmod +x し、構文エラーを直し、呼び出すツール（jq など）を入れてください。壊れたフックは何も守りません。',
+      },
+      'safety-extension-tools': {
+        q: 'サブエージェント・スラッシュコマンド・スキルがツールを制限している（無制限の Bash やワイルドカードの allowed-tools がない）',
+        fix: 'サブエージェントには必要なものだけの tools を指定し（例: "tools: Read, Grep, Glob"）、tools や allowed-tools の Bash、Bash(*)、* は Bash(git status:*) のような具体的なコマンドに置き換えてください。',
+      },
+      'safety-hooks-enabled': {
+        q: 'disableAllHooks でフックが無効化されていない',
+        fix: '設定ファイルから "disableAllHooks": true を削除してください。一つのフックだけを止めたい場合は、そのフックを削除してください。',
+      },
+      'safety-launch-flags': {
+        q: 'シェルのエイリアス・関数・起動スクリプトが --dangerously-skip-permissions で Claude を起動していない',
+        fix: 'エイリアス・関数・スクリプトから --dangerously-skip-permissions（と --permission-mode bypassPermissions）を削除し、必要なコマンドは settings.json で個別に許可してください。',
+      },
+      'permissions-default-mode': {
+        q: 'デフォルトのパーミッションモードが確認をスキップしない',
+        fix: '"defaultMode": "bypassPermissions" を削除し、必要なコマンドだけを許可してください。"disableBypassPermissionsMode": "disable" で無効化を固定できます。',
+      },
+      'permissions-broad-allow': {
+        q: 'allow ルールが絞られている（Bash(*)、単独の Write、インタプリタのワイルドカードがない）',
+        fix: 'Bash(*) や Bash(git:*) のような広い allow ルールを、Bash(npm run test:*) や Bash(git status) のような具体的なプレフィックスに置き換えてください。',
+      },
+      'permissions-deny-reachable': {
+        q: 'deny ルールが正しい形式で、実際に一致する',
+        fix: 'Claude Code が一致させられない deny ルールを直してください。ツール名は大文字小文字を区別し、Bash のワイルドカードは末尾の ":*" だけが有効です（例: Bash(git push --force:*)）。',
+      },
+      'permissions-dangerous-covered': {
+        q: '危険なコマンドが deny ルールかガードフックで防がれている',
+        fix: 'Bash(rm -rf:*)、Bash(git push --force:*)、Bash(git reset --hard:*)、Bash(sudo:*)、Read(./.env) などの deny ルールか、それらのツールを守る PreToolUse ガードフックを追加してください。',
+      },
+      'quality-syntax-check': {
+        q: 'ファイル編集のたびに構文チェックが走る（PostToolUse フック）',
+        fix: 'matcher "Edit|Write|MultiEdit" で言語ごとの構文チェック（py_compile、eslint、bash -n）を実行する PostToolUse フックを追加してください。',
+      },
+      'quality-error-detection': {
+        q: 'コマンド出力からエラーを検出して追跡する',
+        fix: 'PostToolUse フックで bash の出力からエラーパターンを拾い、繰り返すエラーを追跡してエスカレーションしてください。',
+      },
+      'quality-dod': {
+        q: 'タスク完了のための完了の定義（DoD）チェックリストがある',
+        fix: '「完了」の意味を定義してください: テストが通る、未解決のエラーがない、構文がきれい、ドキュメントが更新済み。',
+      },
+      'quality-output-verification': {
+        q: 'AI が自分の出力を検証する（公開後のスクリーンショットや GET リクエスト）',
+        fix: 'ワークフローに検証手順を加えてください。公開やデプロイの後に、結果が期待どおりか確認します。',
+      },
+      'monitoring-context': {
+        q: 'コンテキストウィンドウの使用量を監視し、いっぱいになる前に警告する',
+        fix: 'コンテキストの使用率を確認し、いっぱいになる前に警告する PostToolUse フックを追加してください。危険な水準では自動でコンパクションします。',
+      },
+      'monitoring-activity-log': {
+        q: 'どのコマンドがいつ実行され、何が変わったかをログに残す',
+        fix: 'すべてのツール使用をタイムスタンプ付きで JSONL ファイルに記録する PostToolUse フックを追加してください。',
+      },
+      'monitoring-daily-summary': {
+        q: 'AI の作業の日次サマリーを生成する（proof-log、セッションレポート）',
+        fix: 'セッション終了時に 5W1H のサマリーを生成する Stop フックを書いてください。引き継ぎや監査が簡単になります。',
+      },
+      'recovery-backup-branch': {
+        q: '大きな変更の前に git のバックアップブランチを作る',
+        fix: 'CLAUDE.md の指示に、危険な操作の前に "git checkout -b backup/before-changes" を実行するよう加えてください。',
+      },
+      'recovery-watchdog': {
+        q: 'ウォッチドッグがハングやアイドルを検出して回復させる',
+        fix: 'アイドルや固まった状態を検出し、自動でエージェントを促すか再起動する tmux ベースのウォッチドッグを実装してください。',
+      },
+      'recovery-loop-fallback': {
+        q: 'AI がループにはまったときの代替策がある',
+        fix: '繰り返すコマンドパターンを追跡してください。同じエラーが3回以上出たらループを抜けてエスカレーションします。',
+      },
+      'autonomy-task-queue': {
+        q: 'AI が人間の指示なしにキューからタスクを実行できる',
+        fix: 'AI が読んで実行する、状態（pending/in-progress/done）付きの task-queue.yaml を作ってください。',
+      },
+      'autonomy-no-questions': {
+        q: 'AI が不要な質問をしないようにしている',
+        fix: '質問しようとするパターンを自律的な判断に振り向けるフックか CLAUDE.md のルールを追加してください。',
+      },
+      'autonomy-persistent-state': {
+        q: 'AI がセッションの再起動をまたいで作業を続けられる（状態の永続化）',
+        fix: 'mission.md や MEMORY.md で、コンテキストのコンパクションやセッションの再起動をまたいで状態を保ってください。',
+      },
+      'coordination-decision-log': {
+        q: '各判断の理由を意思決定の監査ログに残す',
+        fix: '何を決めたか、なぜか、どの代替案を退けたかを、理由とともに記録してください。',
+      },
+      'coordination-multi-agent': {
+        q: 'AI がほかの AI インスタンスやツールと連携できる',
+        fix: '並行作業のために、AI インスタンス間でファイルや tmux を使ったメッセージのやり取りを可能にしてください。',
+      },
+      'coordination-lessons': {
+        q: '得た教訓を構造的に記録して再利用する',
+        fix: 'LESSONS.md にエラーとその修正を記録し、後から参照できるようにしてください。',
+      },
+      'coordination-extension-definitions': {
+        q: 'サブエージェント・コマンド・スキルのファイルが解析でき、ユーザーとプロジェクトで名前が重複していない',
+        fix: '挙げたファイルのフロントマターを直し（": " を含む値はクォートする）、サブエージェントとスキルには name と description を付け、ユーザーとプロジェクトで同じ名前の定義は名前を変えてください。',
+      },
+      'mcp-pinned-versions': {
+        q: 'npx/uvx の MCP サーバーが正確なバージョンに固定されている',
+        fix: 'MCP サーバーのパッケージを正確なバージョンに固定してください（例: "@modelcontextprotocol/server-github@2025.4.8"）。乗っ取られたリリースや壊れたリリースを自動で取り込まずに済みます。',
+      },
+      'mcp-inline-credentials': {
+        q: 'MCP サーバーの認証情報が env・args・headers に直書きされていない',
+        fix: '.mcp.json では ${VAR} 展開で認証情報を参照し（例: "GITHUB_TOKEN": "${GITHUB_TOKEN}"）、値はシェルの環境変数かシークレットマネージャーに置いてください。',
+      },
+      'mcp-global-scope': {
+        q: 'プロジェクト専用の MCP サーバーが全体で有効になっていない',
+        fix: '1つのプロジェクトだけが使うサーバーは、そのプロジェクトの .mcp.json に移してください（claude mcp add --scope project）。すべてのセッションにツールが公開されなくなります。',
+      },
+      'mcp-remote-auth': {
+        q: 'リモートの HTTP/SSE MCP サーバーが認証ヘッダーを送る',
+        fix: 'リモートの MCP サーバーに Authorization ヘッダーを加えるか（例: "headers": { "Authorization": "Bearer ${API_TOKEN}" }）、/mcp で OAuth を使っていることを確認してください。',
+      },
+      'memory-imports-resolve': {
+        q: 'CLAUDE.md の @import が、深さの上限内で実在するファイルを指している',
+        fix: '@import は実在するファイルを指すようにし（パスは import 元のファイルからの相対か ~/ 始まり）、5段より深い連鎖は平らにしてください。',
+      },
+      'memory-import-cycles': {
+        q: 'CLAUDE.md の import が循環していない',
+        fix: 'import の循環を断ってください。互いに import し合うのではなく、共通のルールを1つのファイルにまとめてほかから import します。',
+      },
+      'memory-token-budget': {
+        q: '常に読み込まれるメモリ（CLAUDE.md と import）がトークン上限に収まる',
+        fix: 'CLAUDE.md を削ってください。めったに使わない詳細はディレクトリごとの CLAUDE.md や必要なときに読めるドキュメントに移し、重複したルールは消します。意図したサイズなら .cc-health-check.json の memory.tokenBudget を上げてください。',
+      },
+      'memory-stale-references': {
+        q: 'CLAUDE.md に書かれたパスやコマンドが今も存在する',
+        fix: '移動や削除されたファイル・スクリプト・npm/make コマンドを挙げている箇所を CLAUDE.md で更新してください。古い指示は、存在しないものを Claude に探させます。',
+      },
+    },
+    // Check details, by their English template. {name} matches any text and is itself
+    // translated when it matches another entry; {at} matches a file:line location and
+    // {word} a single word, so loose templates do not swallow whole finding lists.
+    details: [
+      ['No PreToolUse hooks found', 'PreToolUse フックがありません'],
+      ['{n} PreToolUse hook(s) found but none run for Bash (matcher: {m})', 'PreToolUse フックが {n} 件ありますが、Bash では実行されません（matcher: {m}）'],
+      ['All {n} dangerous commands blocked by probe', 'プローブで危険なコマンド {n} 件すべてがブロックされました'],
+      ['{k}/{n} dangerous commands blocked; not blocked: {list}', '危険なコマンド {n} 件中 {k} 件をブロック。ブロックされなかったもの: {list}'],
+      ['Safety hook found: {path}', '安全フックを検出: {path}'],
+      ['{n} PreToolUse hook(s) on Bash with safety patterns', '安全パターンを含む Bash の PreToolUse フックが {n} 件あります'],
+      ['{n} PreToolUse hook(s) run for Bash but no safety patterns detected', 'Bash で実行される PreToolUse フックが {n} 件ありますが、安全パターンが見つかりません'],
+      ['{n} possible secret(s) found in {where}', '{where} に秘密情報らしき値が {n} 件あります'],
+      ['Credentials stored in dedicated file', '認証情報は専用ファイルに保存されています'],
+      ['No leaked keys detected', '漏えいしたキーは見つかりません'],
+      ['Not a git repository', 'git リポジトリではありません'],
+      ['Branch guard only covers {a}; pushes to {b} are not blocked', 'ブランチガードは {a} だけが対象で、{b} への push はブロックされません'],
+      ['Branch protection detected', 'ブランチ保護を検出'],
+      ['No branch protection rules found', 'ブランチ保護のルールがありません'],
+      ['Error-aware gating detected', 'エラー連動のゲートを検出'],
+      ['No error-aware gate found', 'エラー連動のゲートがありません'],
+      ['No hooks configured', 'フックが設定されていません'],
+      ['All {n} hook command(s) runnable', 'フックコマンド {n} 件すべてが実行可能です'],
+      ['{n} broken hook(s): {list}', '壊れたフックが {n} 件: {list}'],
+      ['No agents, commands or skills', 'エージェント・コマンド・スキルがありません'],
+      ['Unrestricted tools: {list}', '制限のないツール: {list}'],
+      ['No unrestricted tools in {n} agent, command and skill file(s)', 'エージェント・コマンド・スキルのファイル {n} 件に制限のないツールはありません'],
+      ['{n} subagent(s) with no tools restriction: {list}', 'ツールを制限していないサブエージェントが {n} 件: {list}'],
+      ['disableAllHooks is not set', 'disableAllHooks は設定されていません'],
+      ['disableAllHooks is true in {path}, so none of the {n} configured hook(s) run', '{path} で disableAllHooks が true のため、設定済みのフック {n} 件はどれも実行されません'],
+      ['No permission-skipping launch flags in {n} shell startup file(s) and launcher(s)', 'シェルの起動ファイルと起動スクリプト {n} 件に確認をスキップするフラグはありません'],
+      ['Claude launched without permission prompts: {list}', '確認なしで Claude を起動している箇所: {list}'],
+      ['permissions.defaultMode is "bypassPermissions" — every tool call runs unprompted', 'permissions.defaultMode が "bypassPermissions" のため、すべてのツール呼び出しが確認なしで実行されます'],
+      ['Default mode: {mode}', 'デフォルトモード: {mode}'],
+      ['No overly broad allow rules', '広すぎる allow ルールはありません'],
+      ['Overly broad allow rule(s): {list}', '広すぎる allow ルール: {list}'],
+      ['Unreachable deny rule(s): {list}', '一致しない deny ルール: {list}'],
+      ['Deny rules reachable; redundant: {list}', 'deny ルールはすべて一致可能。重複: {list}'],
+      ['{n} deny rule(s), all reachable', 'deny ルール {n} 件、すべて一致可能'],
+      ['All dangerous commands denied or guarded', '危険なコマンドはすべて deny ルールかガードフックで防がれています'],
+      ['No deny rule or guarding hook for: {list}', '次を防ぐ deny ルールもガードフックもありません: {list}'],
+      ['No syntax check hook found in PostToolUse', 'PostToolUse に構文チェックのフックがありません'],
+      ['Post-edit syntax checking configured', '編集後の構文チェックが設定されています'],
+      ['Syntax hook checks {a} but not {b} files in this project', '構文チェックのフックは {a} を確認しますが、このプロジェクトの {b} ファイルは確認しません'],
+      ['Syntax check hook(s) do not run for {list} (matcher: {m})', '構文チェックのフックが {list} では実行されません（matcher: {m}）'],
+      ['Error detection patterns found in hooks', 'フックにエラー検出のパターンがあります'],
+      ['No error detection in command output', 'コマンド出力のエラー検出がありません'],
+      ['DoD criteria found', 'DoD の基準を検出'],
+      ['No Definition of Done checklist detected', '完了の定義（DoD）のチェックリストがありません'],
+      ['Output verification instructions found', '出力検証の指示を検出'],
+      ['No output verification pattern detected', '出力検証のパターンがありません'],
+      ['Context window monitoring detected', 'コンテキストウィンドウの監視を検出'],
+      ['No context window monitoring', 'コンテキストウィンドウの監視がありません'],
+      ['Activity logging detected', 'アクティビティログを検出'],
+      ['No activity logging configured', 'アクティビティログが設定されていません'],
+      ['Daily summarization configured', '日次サマリーが設定されています'],
+      ['No daily summary generation', '日次サマリーの生成がありません'],
+      ['Backup branch instructions found in CLAUDE.md', 'CLAUDE.md にバックアップブランチの指示があります'],
+      ['No backup branch strategy detected', 'バックアップブランチの運用がありません'],
+      ['Watchdog mechanism detected', 'ウォッチドッグを検出'],
+      ['No watchdog for hang/idle detection', 'ハングやアイドルを検出するウォッチドッグがありません'],
+      ['Loop detection / retry limits found', 'ループ検出・リトライ上限を検出'],
+      ['No loop detection or retry limits', 'ループ検出もリトライ上限もありません'],
+      ['Task queue mechanism found', 'タスクキューを検出'],
+      ['No task queue for autonomous execution', '自律実行のためのタスクキューがありません'],
+      ['Question-blocking rules detected', '不要な質問を止めるルールを検出'],
+      ['No rules to prevent unnecessary questions', '不要な質問を防ぐルールがありません'],
+      ['State persistence mechanism found', '状態を永続化する仕組みを検出'],
+      ['No persistent state mechanism', '状態を永続化する仕組みがありません'],
+      ['Decision logging found', '意思決定ログを検出'],
+      ['No decision audit trail', '意思決定の監査ログがありません'],
+      ['Multi-agent coordination found', 'マルチエージェント連携を検出'],
+      ['No multi-agent coordination', 'マルチエージェント連携がありません'],
+      ['Lesson capture mechanism found', '教訓を記録する仕組みを検出'],
+      ['No structured lesson capture', '教訓を構造的に記録する仕組みがありません'],
+      ['All {n} agent, command and skill file(s) parse, with unique names', 'エージェント・コマンド・スキルのファイル {n} 件すべて解析でき、名前の重複もありません'],
+      ['Invalid or conflicting definition(s): {list}', '不正または重複した定義: {list}'],
+      ['No MCP servers configured', 'MCP サーバーが設定されていません'],
+      ['All package-runner MCP servers pinned', 'パッケージランナー経由の MCP サーバーはすべてバージョン固定済みです'],
+      ['Unpinned MCP server(s): {list}', 'バージョンが固定されていない MCP サーバー: {list}'],
+      ['No inline MCP credentials', 'MCP の認証情報は直書きされていません'],
+      ['Inline credential(s): {list}', '直書きされた認証情報: {list}'],
+      ['No project-specific servers in user scope', 'ユーザースコープにプロジェクト専用のサーバーはありません'],
+      ['Globally enabled but project-specific: {list}', 'プロジェクト専用なのに全体で有効: {list}'],
+      ['All remote MCP servers authenticate', 'リモートの MCP サーバーはすべて認証しています'],
+      ['Unauthenticated remote server(s): {list}', '認証のないリモートサーバー: {list}'],
+      ['No CLAUDE.md files', 'CLAUDE.md がありません'],
+      ['{n} import(s) across {m} memory file(s), all resolved', 'メモリファイル {m} 件の import {n} 件、すべて解決済み'],
+      ['Broken import(s): {list}', '解決できない import: {list}'],
+      ['No import cycles', 'import の循環はありません'],
+      ['Import cycle(s): {list}', 'import の循環: {list}'],
+      ['~{n} tokens in {m} file(s), budget {budget}', '{m} ファイルで約 {n} トークン（上限 {budget}）'],
+      ['No stale path or command references', '古くなったパスやコマンドの参照はありません'],
+      ['Stale reference(s): {list}', '古くなった参照: {list}'],
+      ['Low confidence: only a passing mention at {at} ("{quote}"), not an instruction', '確度が低い: {at} で触れているだけで（"{quote}"）、指示ではありません'],
+      // Team policy violations and remediation
+      ['No {where} hook runs {command}', '{command} を実行する {where} フックがありません'],
+      ['No {where} hook', '{where} フックがありません'],
+      ['Add to "hooks" in {file}: {entry}', '{file} の "hooks" に追加してください: {entry}'],
+      ['Required {kind} rule {rule} is missing', '必須の {kind} ルール {rule} がありません'],
+      ['Add "{rule}" to permissions.{kind} in {file}', '{file} の permissions.{kind} に "{rule}" を追加してください'],
+      ['Forbidden {kind} rule {rule} is set', '禁止されている {kind} ルール {rule} が設定されています'],
+      ['Remove "{rule}" from permissions.{kind} in {file}', '{file} の permissions.{kind} から "{rule}" を削除してください'],
+      ['MCP server {name} ({scope}) is not on the approved list', 'MCP サーバー {name}（{scope}）は承認リストにありません'],
+      ['Remove "{name}" from {file}, or get it added to the approved list', '{file} から "{name}" を削除するか、承認リストに加えてもらってください'],
+      ['CLAUDE.md has no "{title}" section', 'CLAUDE.md に「{title}」セクションがありません'],
+      ['Add a "## {title}" section to {file} or the project\'s CLAUDE.md', '{file} かプロジェクトの CLAUDE.md に "## {title}" セクションを追加してください'],
+      ['{dim} is {pct}%, below the required {min}%', '{dim} は {pct}% で、必要な {min}% に届いていません'],
+      ['Fix {ids} (npx cc-health-check --explain <id>)', '{ids} を直してください（npx cc-health-check --explain <id>）'],
+      ['Review the accepted risks in this dimension', 'このディメンションの許容済みリスクを見直してください'],
+      // Runtime notes from session transcripts
+      ['{n} tool call(s) failed across {m} session(s)', '{m} セッションでツール呼び出しが {n} 回失敗'],
+      ['{n} forced compaction(s)', '強制コンパクションが {n} 回'],
+      ['{n} idle gap(s) longer than {m} min', '{m} 分を超えるアイドルが {n} 回'],
+      ['{n} session(s) repeated the same failing command {m}+ times', '{n} セッションで同じ失敗コマンドを {m} 回以上繰り返し'],
+      ['Error detection configured', 'エラー検出は設定済み'],
+      ['Context monitor present', 'コンテキスト監視は設定済み'],
+      ['Watchdog configured', 'ウォッチドッグは設定済み'],
+      ['Loop detection configured', 'ループ検出は設定済み'],
+      // Custom checks from .cc-health-check.json or .cc-health-check.mjs
+      ['Hook found: {command}', 'フックを検出: {command}'],
+      ['No hook matching "{hook}"', '"{hook}" に一致するフックがありません'],
+      ['No {event} hook matching "{hook}"', '"{hook}" に一致する {event} フックがありません'],
+      ['CLAUDE.md mentions "{text}"', 'CLAUDE.md に "{text}" の記述があります'],
+      ['CLAUDE.md does not mention "{text}"', 'CLAUDE.md に "{text}" の記述がありません'],
+      ['{word} exists', '{word} があります'],
+      ['{word} not found', '{word} がありません'],
+      ['Deny rule {rule} present', 'deny ルール {rule} があります'],
+      ['Deny rule {rule} missing', 'deny ルール {rule} がありません'],
+      ['Unknown "require" type (use hook, claudeMd, file or deny)', '"require" の種類が不明です（hook、claudeMd、file、deny のいずれかを使ってください）'],
+      ['Passed', '合格'],
+      ['Failed', '不合格'],
+      ['Custom check threw: {message}', 'カスタムチェックでエラーが発生しました: {message}'],
+      // Suffixes and joins, after every full sentence
+      ['{detail} ({n} allowlisted)', '{detail}（許可リスト {n} 件）'],
+      ['{detail} (only negated mentions: {list})', '{detail}（否定形の言及のみ: {list}）'],
+      ['{detail} ({at})', '{detail}（{at}）'],
+      ['{detail}; largest: {list}', '{detail}。大きい順: {list}'],
+      ['{configured}, but {fact}', '{configured}ですが、{fact}'],
+    ],
+  },
+};
+
+// --lang wins, then the locale (ja_JP.UTF-8 → ja); anything else is English
+function detectLang(arg, env) {
+  if (arg !== undefined) return arg;
+  const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+  return LANGS.find(lang => locale.toLowerCase().startsWith(lang)) || 'en';
+}
+
+function templatePattern(template) {
+  const names = [];
+  const source = template.split(/(\{\w+\})/).map(part => {
+    const name = part.match(/^\{(\w+)\}$/)?.[1];
+    if (!name) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    names.push(name);
+    if (name === 'at') return '(\\S+:\\d+)';
+    return name === 'word' ? '(\\S+)' : '(.+?)';
+  }).join('');
+  return { re: new RegExp(`^${source}$`, 's'), names };
+}
+
+/**
+ * t(key, ...args) for a language, falling back to English, plus helpers for check text:
+ * t.q(id, q) and t.fix(id, fix) by check ID, t.detail(text), t.dim(name) and t.grade(name).
+ */
+function translator(lang) {
+  const table = T[lang] || T.en;
+  const patterns = (table.details || []).map(([from, to]) => ({ ...templatePattern(from), to }));
+  const detail = text => {
+    if (typeof text !== 'string') return text;
+    for (const { re, names, to } of patterns) {
+      const m = text.match(re);
+      if (m) return to.replace(/\{(\w+)\}/g, (_, name) => detail(m[names.indexOf(name) + 1]));
+    }
+    return text;
+  };
+  const t = (key, ...args) => {
+    const value = table[key] ?? T.en[key];
+    return typeof value === 'function' ? value(...args) : value;
+  };
+  t.lang = lang;
+  t.q = (id, q) => table.checks?.[id]?.q ?? q;
+  t.fix = (id, fix) => table.checks?.[id]?.fix ?? fix;
+  t.detail = detail;
+  t.dim = name => table.dims?.[name] ?? name;
+  t.grade = name => table.grades?.[name] ?? name;
+  return t;
+}
+
+export { LANGS, BOOK_CHAPTERS, detectLang, translator };